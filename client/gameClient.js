@@ -0,0 +1,332 @@
+const WebSocket = require("ws");
+const {
+  PROTOCOL_VERSION,
+  SERVER_MESSAGES,
+  validateClientMessage,
+} = require("../lib/protocol");
+const { applyDeltas } = require("../lib/stateSync");
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// The reply that settles each request. The server echoes our `requestId`
+// on everything it sends while handling the request, so the first matching
+// message of this type is the answer; an `error` with the id rejects.
+const REPLIES = {
+  register: "registered",
+  resume: "resumed",
+  list_rooms: "rooms_list",
+  create_room: "room_created",
+  join_room: "room_updated",
+  spectate_room: "spectating",
+  start_game: "game_started",
+  roll_dice: "dice_rolled",
+  select_face: "face_selected",
+  select_tile: "turn_ended",
+  stop_turn: "turn_bust",
+  get_turn_odds: "turn_odds",
+  sync_request: "state_sync",
+  get_inbox: "inbox",
+  open_game: "game_opened",
+  queue_join: "queue_joined",
+  queue_leave: "queue_left",
+  rematch: "rematch",
+};
+
+// Messages that carry the whole game state, and where.
+const GAME_SNAPSHOTS = {
+  game_started: "game",
+  game_resumed: "gameState",
+  resumed: "gameState",
+  spectating: "gameState",
+  game_opened: "gameState",
+};
+
+// Messages that carry the next state version and its deltas.
+const GAME_UPDATES = [
+  "dice_rolled",
+  "face_selected",
+  "turn_ended",
+  "turn_bust",
+  "player_left_game",
+  "player_away",
+  "player_back",
+];
+
+function requestError(message) {
+  const error = new Error(message.message);
+  error.code = message.code;
+  return error;
+}
+
+// Wraps the WebSocket protocol for scripts, bots and the terminal client.
+// `on(type, handler)` only accepts message types the server can send, and
+// `state` mirrors what the server has told us about us, our room and game.
+function createGameClient({
+  url = "ws://localhost:3000",
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+} = {}) {
+  const handlers = new Map();
+  const pending = new Map();
+  let ws = null;
+  let nextRequestId = 1;
+  let syncing = false;
+
+  const state = {
+    playerId: null,
+    name: null,
+    token: null,
+    profileSecret: null,
+    room: null,
+    game: null,
+    lastRoll: null,
+    gameOver: null,
+  };
+
+  function emit(type, message) {
+    (handlers.get(type) || []).forEach((handler) => handler(message));
+    (handlers.get("*") || []).forEach((handler) => handler(message));
+  }
+
+  // Updates after a gap are skipped until the server has filled it in;
+  // anything sent before our request arrives ahead of the reply.
+  function requestSync() {
+    if (syncing || !state.room) return;
+    syncing = true;
+    request("sync_request", {
+      roomId: state.room.id,
+      sinceVersion: state.game.version,
+    }).catch(() => {
+      syncing = false;
+    });
+  }
+
+  function applyUpdate(update) {
+    if (!state.game || update.version <= state.game.version) return;
+
+    if (update.version !== state.game.version + 1) {
+      requestSync();
+      return;
+    }
+    applyDeltas(state.game, update.deltas);
+    state.game.version = update.version;
+  }
+
+  function track(message) {
+    switch (message.type) {
+      case "registered":
+      case "resumed":
+        state.playerId = message.playerId;
+        state.name = message.name || state.name;
+        state.token = message.token;
+        state.profileSecret = message.profileSecret || state.profileSecret;
+        if (message.type === "resumed") state.room = message.room;
+        break;
+      case "room_updated":
+      case "spectating":
+      case "game_opened":
+      case "rematch":
+        state.room = message.room;
+        if (message.type === "rematch") {
+          state.game = null;
+          state.gameOver = null;
+        }
+        break;
+      case "dice_rolled":
+        state.lastRoll = message;
+        break;
+      case "game_over":
+        state.gameOver = message;
+        break;
+      case "state_sync":
+        syncing = false;
+        if (message.gameState) {
+          state.game = message.gameState;
+        } else {
+          message.updates.forEach(applyUpdate);
+        }
+        break;
+      case "kicked":
+      case "room_closed":
+        state.room = null;
+        state.game = null;
+        break;
+    }
+
+    if (GAME_SNAPSHOTS[message.type]) {
+      state.game = message[GAME_SNAPSHOTS[message.type]] || null;
+      state.lastRoll = null;
+      if (message.type === "game_started") state.gameOver = null;
+    }
+
+    if (GAME_UPDATES.includes(message.type) && !syncing) {
+      applyUpdate(message);
+      if (message.type !== "dice_rolled") state.lastRoll = null;
+    }
+  }
+
+  function settle(message) {
+    const request = pending.get(message.requestId);
+    if (!request) return;
+
+    if (message.type === "error") {
+      request.reject(requestError(message));
+    } else if (message.type === request.expect) {
+      request.resolve(message);
+    } else {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    pending.delete(message.requestId);
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      ws = new WebSocket(url);
+      ws.once("open", resolve);
+      ws.once("error", reject);
+
+      ws.on("message", (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw);
+        } catch (error) {
+          return;
+        }
+
+        track(message);
+        settle(message);
+        emit(message.type, message);
+      });
+
+      ws.on("close", () => {
+        pending.forEach((request) => {
+          clearTimeout(request.timer);
+          request.reject(new Error("Connection closed"));
+        });
+        pending.clear();
+        emit("close", { type: "close" });
+      });
+    });
+  }
+
+  // Fire-and-forget; use `request` when the caller wants the reply.
+  function send(type, payload = {}) {
+    const message = { type, ...payload };
+    const validation = validateClientMessage(message);
+    if (!validation.valid) {
+      throw requestError({ code: validation.code, message: validation.error });
+    }
+    ws.send(JSON.stringify(message));
+  }
+
+  function request(type, payload = {}, { expect = REPLIES[type] } = {}) {
+    const requestId = nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(requestId);
+        reject(new Error(`No reply to ${type} within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      pending.set(requestId, { expect, resolve, reject, timer });
+
+      try {
+        send(type, { ...payload, requestId });
+      } catch (error) {
+        clearTimeout(timer);
+        pending.delete(requestId);
+        reject(error);
+      }
+    });
+  }
+
+  // Returns a function that removes the handler again. "*" sees every
+  // message, "close" fires when the connection drops.
+  function on(type, handler) {
+    if (
+      type !== "*" &&
+      type !== "close" &&
+      !Object.hasOwn(SERVER_MESSAGES, type)
+    ) {
+      throw new Error(`Unknown message type "${type}"`);
+    }
+
+    handlers.set(type, [...(handlers.get(type) || []), handler]);
+    return () => {
+      handlers.set(
+        type,
+        handlers.get(type).filter((h) => h !== handler)
+      );
+    };
+  }
+
+  function roomId() {
+    if (!state.room) throw new Error("Not in a room");
+    return state.room.id;
+  }
+
+  // `room` is a room id, or { inviteCode, password }
+  function joinRoom(room) {
+    return request(
+      "join_room",
+      typeof room === "string" ? { roomId: room } : room
+    );
+  }
+
+  // Like the web client, the creator joins straight after creating.
+  async function createRoom(roomName, options = {}) {
+    const created = await request("create_room", { roomName, ...options });
+    await joinRoom(created.roomId);
+    return created;
+  }
+
+  function isMyTurn() {
+    return Boolean(state.game) && state.game.currentPlayerId === state.playerId;
+  }
+
+  return {
+    state,
+    connect,
+    close: () => ws && ws.close(),
+    send,
+    request,
+    on,
+    isMyTurn,
+    // The secret comes back from the first register under a name and is
+    // needed to register under it again.
+    register: (name, profileSecret) =>
+      request("register", {
+        name,
+        protocolVersion: PROTOCOL_VERSION,
+        ...(profileSecret && { profileSecret }),
+      }),
+    resume: (token) =>
+      request("resume", { token, protocolVersion: PROTOCOL_VERSION }),
+    listRooms: () => request("list_rooms"),
+    createRoom,
+    joinRoom,
+    leaveRoom: () => send("leave_room", { roomId: roomId() }),
+    startGame: () => request("start_game", { roomId: roomId() }),
+    rollDice: () => request("roll_dice", { roomId: roomId() }),
+    selectFace: (face) =>
+      request("select_face", { roomId: roomId(), face: String(face) }),
+    selectTile: (tile) => request("select_tile", { roomId: roomId(), tile }),
+    stopTurn: () => request("stop_turn", { roomId: roomId() }),
+    // { minPlayers, maxPlayers, ruleset }; `match_found` follows once a
+    // game is ready.
+    joinQueue: (options = {}) => request("queue_join", options),
+    leaveQueue: () => request("queue_leave"),
+    // Correspondence games: the ones waiting on us come first. Opening a
+    // game makes it the one this connection follows.
+    getInbox: () => request("get_inbox"),
+    openGame: (roomId) => request("open_game", { roomId }),
+    closeGame: () => {
+      send("close_game");
+      state.room = null;
+      state.game = null;
+    },
+  };
+}
+
+module.exports = { createGameClient };
@@ -0,0 +1,108 @@
+// Plain-text views of the state tracked by gameClient, used by the
+// terminal client and handy for logging bot games.
+
+function tileText(tile) {
+  return `${tile.number}${"w".repeat(tile.worms)}`;
+}
+
+function faceText(face) {
+  return face === "worm" ? "W" : face;
+}
+
+function wormTotal(stack) {
+  return stack.reduce((sum, tile) => sum + tile.worms, 0);
+}
+
+function renderRoom(room) {
+  const lines = [
+    `Room "${room.name}" (${room.status}), invite code ${room.inviteCode}`,
+    `Rules: ${room.ruleset.name}`,
+  ];
+  room.players.forEach((player) => {
+    const marks = [
+      player.id === room.host ? "host" : null,
+      player.isBot ? "bot" : null,
+      player.connected === false ? "disconnected" : null,
+    ].filter(Boolean);
+    lines.push(
+      `  ${player.name}${marks.length ? ` (${marks.join(", ")})` : ""}`
+    );
+  });
+  return lines.join("\n");
+}
+
+function renderGame(game, playerId) {
+  const { turnState } = game;
+  const current = game.players.find((p) => p.id === game.currentPlayerId);
+  const lines = [];
+
+  lines.push(`Grill:  ${game.tiles.map(tileText).join(" ") || "-"}`);
+  if (game.faceDownTiles.length > 0) {
+    lines.push(`Turned: ${game.faceDownTiles.map((t) => t.number).join(" ")}`);
+  }
+
+  lines.push("Stacks:");
+  game.players.forEach((player) => {
+    const stack = game.playerStacks[player.id] || [];
+    const top = stack[stack.length - 1];
+    const marks = [
+      player.id === playerId ? "you" : null,
+      player.left ? "left" : null,
+    ].filter(Boolean);
+    lines.push(
+      `  ${player.name}${marks.length ? ` (${marks.join(", ")})` : ""}: ` +
+        `${wormTotal(stack)} worms, top ${top ? tileText(top) : "-"}` +
+        ` [${stack.map((t) => t.number).join(" ")}]`
+    );
+  });
+
+  const whose =
+    game.currentPlayerId === playerId
+      ? "Your turn"
+      : `${current ? current.name : "Unknown"}'s turn`;
+  const kept = turnState.selectedFaces.map(faceText).join(" ") || "nothing";
+  lines.push(
+    `${whose}: score ${turnState.currentScore}, kept ${kept}, ` +
+      `${turnState.availableDice} dice left`
+  );
+
+  return lines.join("\n");
+}
+
+function renderRoll(roll, turnState) {
+  const dice = roll.diceResults.map((face) => `[${faceText(face)}]`).join(" ");
+  if (roll.availableFaces.length === 0) {
+    return `Roll:   ${dice}  nothing new, bust!`;
+  }
+
+  const choices = roll.availableFaces
+    .filter((face) => !turnState || !turnState.selectedFaces.includes(face))
+    .map((face) => {
+      const count = roll.faceCounts[face];
+      const value = (face === "worm" ? 5 : Number(face)) * count;
+      return `${faceText(face)} x${count} = ${value}`;
+    });
+  return `Roll:   ${dice}  pick: ${choices.join(", ")}`;
+}
+
+function renderScores(gameOver) {
+  const { winners } = gameOver;
+  const headline =
+    winners.length > 1
+      ? `Game over, ${winners.map((p) => p.name).join(" and ")} share the win`
+      : `Game over, ${winners[0].name} wins`;
+
+  return [
+    `${headline} with ${winners[0].worms} worms`,
+    ...gameOver.finalScores.map((player) => {
+      const place = `${player.rank}.${player.shared ? "=" : " "}`;
+      const tiles = player.tiles.map((tile) => tile.number).join(" ") || "-";
+      return (
+        `  ${place} ${player.name}: ${player.worms} worms, tiles ${tiles}` +
+        `, ${player.steals} steals, ${player.tilesLostToBusts} lost to busts`
+      );
+    }),
+  ].join("\n");
+}
+
+module.exports = { renderRoom, renderGame, renderRoll, renderScores };
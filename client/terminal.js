@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// Interactive terminal client. Usage: node client/terminal.js [ws://host:port]
+const readline = require("readline");
+const { createGameClient } = require("./gameClient");
+const {
+  renderRoom,
+  renderGame,
+  renderRoll,
+  renderScores,
+} = require("./render");
+
+const HELP = `Commands:
+  rooms                  list open rooms
+  create <name>          create a room and join it
+  join <room id | code>  join a room by id or invite code
+  inbox                  list your correspondence games
+  open <room id>         switch to one of your correspondence games
+  start                  start the game (host only)
+  bot <difficulty>       add a bot: random, greedy or expected (host only)
+  roll                   roll the dice you have left
+  pick <face>            set aside a face: 1-5 or w for worms
+  take <tile>            take a tile from the grill or steal one
+  stop                   give up the turn (counts as a bust)
+  board                  show the game again
+  say <text>             chat to the room
+  leave                  leave the room
+  quit                   exit`;
+
+const url = process.argv[2] || process.env.WORMS_URL || "ws://localhost:3000";
+const client = createGameClient({ url });
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+});
+
+function print(text) {
+  readline.clearLine(process.stdout, 0);
+  readline.cursorTo(process.stdout, 0);
+  console.log(text);
+  rl.prompt(true);
+}
+
+function printBoard() {
+  if (client.state.game) {
+    print(renderGame(client.state.game, client.state.playerId));
+  } else if (client.state.room) {
+    print(renderRoom(client.state.room));
+  } else {
+    print("Not in a room. Type `rooms` or `create <name>`.");
+  }
+}
+
+// The server pushes the room list on every lobby change, so it's only
+// printed when asked for.
+async function listRooms() {
+  const { rooms } = await client.listRooms();
+  if (rooms.length === 0) {
+    print("No open rooms.");
+    return;
+  }
+  print(
+    rooms
+      .map(
+        (room) =>
+          `${room.id}  ${room.name}  ${room.playerCount}/${room.maxPlayers}` +
+          `  ${room.status}${room.hasPassword ? "  (password)" : ""}`
+      )
+      .join("\n")
+  );
+}
+
+function printInbox({ games }) {
+  if (games.length === 0) {
+    print("No correspondence games.");
+    return;
+  }
+  print(
+    games
+      .map((game) => {
+        const turn = game.yourTurn
+          ? "your turn"
+          : game.currentPlayerName
+          ? `${game.currentPlayerName}'s turn`
+          : game.status;
+        const left =
+          game.remainingMs === null
+            ? ""
+            : `, ${Math.ceil(game.remainingMs / 60000)} min left`;
+        return `${game.roomId}  ${game.roomName}  ${turn}${left}`;
+      })
+      .join("\n")
+  );
+}
+
+function playerName(playerId) {
+  const player = client.state.room?.players.find((p) => p.id === playerId);
+  return player ? player.name : "Someone";
+}
+
+client.on("room_updated", ({ room }) => {
+  if (!client.state.game) print(renderRoom(room));
+});
+client.on("game_started", printBoard);
+client.on("dice_rolled", (roll) => {
+  print(
+    `${playerName(roll.playerId)} rolled\n` +
+      renderRoll(roll, client.state.game?.turnState)
+  );
+});
+client.on("face_selected", printBoard);
+client.on("turn_ended", (message) => {
+  print(
+    message.tile
+      ? `${message.playerName} took tile ${message.tile.number}`
+      : `${message.playerName} ended the turn`
+  );
+  if (!message.gameOver) printBoard();
+});
+client.on("turn_bust", (message) => {
+  print(`${message.playerName} busted`);
+  if (!message.gameOver) printBoard();
+});
+client.on("game_over", (gameOver) => print(renderScores(gameOver)));
+client.on("inbox", (inbox) => {
+  if (inbox.requestId === undefined) printInbox(inbox);
+});
+client.on("chat_message", ({ message }) => {
+  print(`${message.from ? message.from.name : "*"}: ${message.text}`);
+});
+client.on("kicked", () => print("You were removed from the room."));
+client.on("room_closed", ({ reason }) => print(`Room closed: ${reason}`));
+client.on("maintenance_notice", ({ message }) => print(`Notice: ${message}`));
+client.on("error", (error) => {
+  // Replies to our own requests are reported where the command ran.
+  if (error.requestId === undefined) print(`! ${error.message}`);
+});
+client.on("close", () => {
+  console.log("\nDisconnected.");
+  process.exit(1);
+});
+
+const COMMANDS = {
+  help: () => print(HELP),
+  rooms: listRooms,
+  create: (name) => client.createRoom(name || `${client.state.name}'s room`),
+  join: (target) =>
+    client.joinRoom(
+      /^[A-Z0-9]{4,8}$/i.test(target) ? { inviteCode: target } : target
+    ),
+  inbox: async () => printInbox(await client.getInbox()),
+  open: async (roomId) => {
+    await client.openGame(roomId);
+    printBoard();
+  },
+  start: () => client.startGame(),
+  bot: (difficulty) =>
+    client.send("add_bot", {
+      roomId: client.state.room?.id,
+      difficulty: difficulty || "greedy",
+    }),
+  roll: () => client.rollDice(),
+  pick: (face) =>
+    client.selectFace(face === "w" || face === "W" ? "worm" : face),
+  take: (tile) => client.selectTile(Number(tile)),
+  stop: () => client.stopTurn(),
+  board: printBoard,
+  say: (text) =>
+    client.send("chat_message", {
+      roomId: client.state.room?.id || null,
+      text,
+    }),
+  leave: () => {
+    client.leaveRoom();
+    client.state.room = null;
+    client.state.game = null;
+    print("Left the room.");
+  },
+  quit: () => {
+    client.close();
+    process.exit(0);
+  },
+};
+
+async function runCommand(line) {
+  const [command, ...rest] = line.trim().split(/\s+/);
+  if (!command) return;
+
+  const handler = COMMANDS[command.toLowerCase()];
+  if (!handler) {
+    print(`Unknown command "${command}". Type \`help\`.`);
+    return;
+  }
+
+  try {
+    await handler(rest.join(" "));
+  } catch (error) {
+    print(`! ${error.message}`);
+  }
+}
+
+async function register(name) {
+  try {
+    await client.register(
+      name.trim() || "Player",
+      process.env.WORMS_PROFILE_SECRET
+    );
+  } catch (error) {
+    console.log(`Could not register: ${error.message}`);
+    process.exit(1);
+  }
+
+  print(`Welcome, ${client.state.name}! Type \`help\` for commands.`);
+  if (client.state.profileSecret) {
+    print(
+      `To play as ${client.state.name} again, set WORMS_PROFILE_SECRET=${client.state.profileSecret}`
+    );
+  }
+  rl.setPrompt("> ");
+}
+
+// Lines are handled one at a time, so a script piped in waits for each
+// reply before sending the next command.
+let queue = client.connect().catch((error) => {
+  console.error(`Could not connect to ${url}: ${error.message}`);
+  process.exit(1);
+});
+
+process.stdout.write("Your name: ");
+rl.on("line", (line) => {
+  queue = queue.then(async () => {
+    if (client.state.playerId) {
+      await runCommand(line);
+    } else {
+      await register(line);
+    }
+    rl.prompt();
+  });
+});
+rl.on("close", () => queue.then(COMMANDS.quit));
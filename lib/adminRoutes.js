@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const express = require("express");
+
+const MAX_NOTICE_LENGTH = 500;
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Everything here needs `Authorization: Bearer <adminToken>` and is
+// switched off entirely when no token is configured. That includes the room
+// views: they list private rooms and who is in them.
+function createAdminRouter({
+  listRooms,
+  getRoomState,
+  closeRoom,
+  sendNotice,
+  webhooks,
+  adminToken,
+  logger,
+}) {
+  const router = express.Router();
+
+  function requireAdmin(req, res, next) {
+    const header = req.get("authorization") || "";
+    const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+
+    if (!adminToken) {
+      res.status(503).json({ error: "Admin actions are disabled" });
+      return;
+    }
+
+    if (!tokensMatch(token, adminToken)) {
+      logger.warn("Rejected admin request", { path: req.path, ip: req.ip });
+      res.status(401).json({ error: "Invalid admin token" });
+      return;
+    }
+
+    next();
+  }
+
+  router.get("/rooms", requireAdmin, (req, res) => {
+    res.json({ rooms: listRooms() });
+  });
+
+  router.get("/rooms/:id", requireAdmin, (req, res) => {
+    const room = getRoomState(req.params.id);
+
+    if (!room) {
+      res.status(404).json({ error: "Room not found" });
+      return;
+    }
+
+    res.json(room);
+  });
+
+  router.post(
+    "/admin/rooms/:id/close",
+    requireAdmin,
+    express.json(),
+    (req, res) => {
+      const reason = String(req.body?.reason || "Closed by an administrator");
+
+      if (!closeRoom(req.params.id, reason.slice(0, MAX_NOTICE_LENGTH))) {
+        res.status(404).json({ error: "Room not found" });
+        return;
+      }
+
+      res.json({ closed: true });
+    }
+  );
+
+  router.post("/admin/notice", requireAdmin, express.json(), (req, res) => {
+    const message = req.body?.message;
+
+    if (typeof message !== "string" || !message.trim()) {
+      res.status(400).json({ error: "Message is required" });
+      return;
+    }
+
+    const delivered = sendNotice(message.trim().slice(0, MAX_NOTICE_LENGTH));
+    res.json({ delivered });
+  });
+
+  router.get("/admin/webhooks", requireAdmin, (req, res) => {
+    res.json({ webhooks: webhooks.list() });
+  });
+
+  // The response is the only place the signing secret is shown.
+  router.post("/admin/webhooks", requireAdmin, express.json(), (req, res) => {
+    const result = webhooks.add(req.body || {});
+
+    if (!result.valid) {
+      res.status(400).json({ error: result.error });
+      return;
+    }
+
+    res.status(201).json({ webhook: result.subscription });
+  });
+
+  router.delete("/admin/webhooks/:id", requireAdmin, (req, res) => {
+    if (!webhooks.remove(req.params.id)) {
+      res.status(404).json({ error: "Webhook not found" });
+      return;
+    }
+
+    res.json({ deleted: true });
+  });
+
+  return router;
+}
+
+function createMonitoringRouter({ metrics }) {
+  const router = express.Router();
+
+  router.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+  });
+
+  router.get("/metrics", (req, res) => {
+    res.type("text/plain; version=0.0.4");
+    res.send(metrics.render());
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, createMonitoringRouter };
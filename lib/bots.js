@@ -0,0 +1,178 @@
+const rules = require("./rules");
+const { createRandom } = require("./rng");
+
+// A strategy picks a face from each roll and decides after every pick
+// whether to stop: chooseClaim returns a tile number to take, or null to
+// keep rolling. Both get `random`, a Math.random stand-in from
+// createBotRandom, for any choice left to chance.
+
+// Keeps the bots' stream apart from the dice stream of the same seed.
+const BOT_SEED_MIX = 0x9e3779b9;
+
+// Seeded from the game, so a seeded game plays out the same every time,
+// but separate from its dice: replays only follow the dice.
+function createBotRandom(game) {
+  return createRandom(game.seed ^ BOT_SEED_MIX);
+}
+
+function topWorms(game, playerId) {
+  const stack = game.playerStacks[playerId] || [];
+  return stack.length > 0 ? stack[stack.length - 1].worms : 0;
+}
+
+function listClaims(game, playerId) {
+  const { grillTile, steals } = rules.getClaimOptions(game, playerId);
+  const claims = steals.map(({ tile }) => ({ tile, steal: true }));
+  if (grillTile) {
+    claims.push({ tile: grillTile, steal: false });
+  }
+  return claims;
+}
+
+// Stealing is worth double: we gain the worms and the opponent loses them.
+function claimValue(claim) {
+  return claim.steal ? claim.tile.worms * 2 : claim.tile.worms;
+}
+
+function bestClaim(game, playerId) {
+  let best = null;
+  listClaims(game, playerId).forEach((claim) => {
+    if (!best || claimValue(claim) > claimValue(best)) {
+      best = claim;
+    }
+  });
+  return best;
+}
+
+function faceTotal(turnState, face) {
+  return (
+    rules.calculateDiceValue(face) *
+    turnState.rolledDice.filter((f) => f === face).length
+  );
+}
+
+function highestTotalFace(turnState, faces) {
+  return faces.reduce((best, face) =>
+    faceTotal(turnState, face) > faceTotal(turnState, best) ? face : best
+  );
+}
+
+const random = {
+  chooseFace(game, playerId, faces, random) {
+    return faces[Math.floor(random() * faces.length)];
+  },
+  chooseClaim(game, playerId, random) {
+    const claims = listClaims(game, playerId);
+    if (claims.length === 0 || random() < 0.5) return null;
+    return claims[Math.floor(random() * claims.length)].tile.number;
+  },
+};
+
+const greedy = {
+  chooseFace(game, playerId, faces) {
+    if (faces.includes("worm")) return "worm";
+    return highestTotalFace(game.turnState, faces);
+  },
+  chooseClaim(game, playerId) {
+    const claim = bestClaim(game, playerId);
+    return claim ? claim.tile.number : null;
+  },
+};
+
+// Rough one-roll lookahead: compare what we can take now with what we expect
+// to take after one more roll, weighted by the chance of busting.
+function estimateRollAgain(game, playerId) {
+  const { turnState } = game;
+  const dice = turnState.availableDice;
+  const usableFaces = rules.DICE_FACES.filter(
+    (face) => !turnState.selectedFaces.includes(face)
+  );
+
+  const pNoUsableFace = Math.pow(
+    (rules.DICE_FACES.length - usableFaces.length) / rules.DICE_FACES.length,
+    dice
+  );
+  const expectedGain = Math.max(
+    ...usableFaces.map(
+      (face) =>
+        (rules.calculateDiceValue(face) * dice) / rules.DICE_FACES.length
+    )
+  );
+  const wormStillPossible = turnState.hasWorm || usableFaces.includes("worm");
+  const nextTile = game.tiles
+    .filter((tile) => tile.number <= turnState.currentScore + expectedGain)
+    .pop();
+  const nextWorms = wormStillPossible && nextTile ? nextTile.worms : 0;
+
+  return (
+    (1 - pNoUsableFace) * nextWorms - pNoUsableFace * topWorms(game, playerId)
+  );
+}
+
+const expected = {
+  chooseFace(game, playerId, faces) {
+    const { turnState } = game;
+    if (!turnState.hasWorm && faces.includes("worm")) return "worm";
+    return highestTotalFace(turnState, faces);
+  },
+  chooseClaim(game, playerId) {
+    const claim = bestClaim(game, playerId);
+    if (!claim) return null;
+    if (game.turnState.availableDice === 0) return claim.tile.number;
+    return claimValue(claim) >= estimateRollAgain(game, playerId)
+      ? claim.tile.number
+      : null;
+  },
+};
+
+const STRATEGIES = { random, greedy, expected };
+
+// One move for the player whose turn it is, shared by the server's bots and
+// the simulator: pick a face after a roll, otherwise take a tile, roll again
+// or give up. `moves` carries each move out (selectFace, claimTile, roll,
+// giveUp) and claimTile returns the rules' result. A face or tile the rules
+// won't take falls back to a legal move and is reported to `onInvalid`.
+function playStep(game, strategy, random, moves, onInvalid = () => {}) {
+  const playerId = game.currentPlayerId;
+  const { turnState } = game;
+
+  if (turnState.rolledDice.length > 0) {
+    const faces = rules.getAvailableFaces(turnState);
+    let face = strategy.chooseFace(game, playerId, faces, random);
+    if (!faces.includes(face)) {
+      onInvalid();
+      face = faces[0];
+    }
+    moves.selectFace(face);
+    return;
+  }
+
+  let tileNumber = strategy.chooseClaim(game, playerId, random);
+  if (tileNumber === null && turnState.availableDice === 0) {
+    tileNumber = bestClaim(game, playerId)?.tile.number ?? null;
+  }
+
+  if (tileNumber !== null) {
+    if (moves.claimTile(tileNumber).valid) return;
+    onInvalid();
+  }
+
+  if (turnState.availableDice > 0) {
+    moves.roll();
+  } else {
+    moves.giveUp();
+  }
+}
+
+// Own keys only: "constructor" and friends aren't strategies.
+function getStrategy(difficulty) {
+  return Object.hasOwn(STRATEGIES, difficulty) ? STRATEGIES[difficulty] : null;
+}
+
+module.exports = {
+  STRATEGIES,
+  getStrategy,
+  bestClaim,
+  createBotRandom,
+  playStep,
+};
@@ -0,0 +1,41 @@
+// Sliding-window limiter; one instance per connection.
+function createRateLimiter({ limit, windowMs }) {
+  let timestamps = [];
+
+  function allow(now = Date.now()) {
+    timestamps = timestamps.filter((time) => now - time < windowMs);
+    if (timestamps.length >= limit) return false;
+    timestamps.push(now);
+    return true;
+  }
+
+  return { allow };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Masks whole-word matches of the configured words, keeping the first letter.
+function createWordFilter(words) {
+  const cleaned = words.map((word) => word.trim()).filter(Boolean);
+  if (cleaned.length === 0) return (text) => text;
+
+  const pattern = new RegExp(
+    `\\b(${cleaned.map(escapeRegExp).join("|")})\\b`,
+    "gi"
+  );
+  return (text) =>
+    text.replace(pattern, (match) => match[0] + "*".repeat(match.length - 1));
+}
+
+// Scrollbacks are plain arrays so they serialise along with their room.
+function appendToScrollback(scrollback, message, size) {
+  scrollback.push(message);
+  if (scrollback.length > size) {
+    scrollback.splice(0, scrollback.length - size);
+  }
+  return message;
+}
+
+module.exports = { createRateLimiter, createWordFilter, appendToScrollback };
@@ -0,0 +1,78 @@
+// Machine-readable codes sent with every `error` message. Clients key
+// translations off these; the English `message` is only a fallback.
+const ERROR_CODES = Object.freeze(
+  Object.fromEntries(
+    [
+      // Protocol
+      "INVALID_MESSAGE",
+      "UNKNOWN_MESSAGE_TYPE",
+      "UNSUPPORTED_PROTOCOL_VERSION",
+      "INTERNAL_ERROR",
+      "RATE_LIMITED",
+
+      // Sessions and rooms
+      "SESSION_EXPIRED",
+      "NOT_REGISTERED",
+      "PLAYER_MISMATCH",
+      "PLAYER_NOT_FOUND",
+      "NAME_TAKEN",
+      "ROOM_NOT_FOUND",
+      "ROOM_FULL",
+      "PASSWORD_REQUIRED",
+      "PASSWORD_INCORRECT",
+      "KICKED_FROM_ROOM",
+      "ALREADY_SEATED",
+      "NOT_IN_ROOM",
+      "NOT_HOST",
+      "NOT_ENOUGH_PLAYERS",
+      "INVALID_ROOM_SETTINGS",
+      "INVALID_RULESET",
+      "MUTED",
+      "MESSAGE_TOO_LONG",
+
+      // Games
+      "GAME_NOT_FOUND",
+      "GAME_ALREADY_STARTED",
+      "GAME_NOT_FINISHED",
+      "GAME_OVER",
+      "GAME_SUSPENDED",
+      "SPECTATOR_CANNOT_PLAY",
+      "NOT_IN_GAME",
+      "NOT_YOUR_TURN",
+      "SELECT_FACE_FIRST",
+      "ROLL_FIRST",
+      "NO_DICE_LEFT",
+      "FACE_ALREADY_TAKEN",
+      "FACE_NOT_ROLLED",
+      "WORM_REQUIRED",
+      "SCORE_TOO_LOW",
+      "MUST_TAKE_HIGHEST",
+      "STEAL_NOT_ALLOWED",
+      "EXACT_SCORE_REQUIRED",
+      "TILE_NOT_AVAILABLE",
+      "ODDS_DISABLED",
+
+      // Tournaments
+      "TOURNAMENT_NOT_FOUND",
+      "TOURNAMENT_ALREADY_STARTED",
+      "TOURNAMENT_FULL",
+      "TOURNAMENT_ROOM",
+      "INVALID_TOURNAMENT_SETTINGS",
+      "ALREADY_ENTERED",
+      "NOT_ENTERED",
+
+      // Matchmaking
+      "ALREADY_QUEUED",
+      "NOT_QUEUED",
+      "INVALID_QUEUE_SETTINGS",
+
+      // Lookups
+      "INVALID_QUERY",
+      "NO_REPLAY",
+      "REPLAY_FAILED",
+      "NO_STATS",
+    ].map((code) => [code, code])
+  )
+);
+
+module.exports = { ERROR_CODES };
@@ -0,0 +1,87 @@
+const express = require("express");
+const { ERROR_CODES } = require("./errorCodes");
+
+const QUERY_PARAMS = ["player", "from", "to", "limit", "cursor"];
+
+// A repeated parameter (?player=a&player=b) arrives as an array, and
+// ?player[x]=a as an object; only plain strings are accepted.
+function readQuery(query) {
+  const params = {};
+  for (const name of QUERY_PARAMS) {
+    const value = query[name];
+    if (value !== undefined && typeof value !== "string") return null;
+    params[name] = value;
+  }
+  return params;
+}
+
+function sendQueryError(res, error) {
+  res.status(400).json({ code: ERROR_CODES.INVALID_QUERY, error });
+}
+
+// Finished tournaments are paged like games; a single tournament is looked
+// up live first, so standings can be followed while it runs.
+function createHistoryRouter(
+  historyStore,
+  { tournamentStore, findTournament }
+) {
+  const router = express.Router();
+
+  router.get("/history", (req, res) => {
+    const params = readQuery(req.query);
+    if (!params) {
+      sendQueryError(res, "Query parameters must be given once");
+      return;
+    }
+
+    const result = historyStore.query(params);
+    if (!result.valid) {
+      sendQueryError(res, result.error);
+      return;
+    }
+
+    res.json({ games: result.games, nextCursor: result.nextCursor });
+  });
+
+  router.get("/history/tournaments", (req, res) => {
+    const params = readQuery(req.query);
+    if (!params) {
+      sendQueryError(res, "Query parameters must be given once");
+      return;
+    }
+
+    const result = tournamentStore.query(params);
+    if (!result.valid) {
+      sendQueryError(res, result.error);
+      return;
+    }
+
+    res.json({ tournaments: result.games, nextCursor: result.nextCursor });
+  });
+
+  router.get("/history/tournaments/:tournamentId", (req, res) => {
+    const tournament = findTournament(req.params.tournamentId);
+
+    if (!tournament) {
+      res.status(404).json({ error: "Tournament not found" });
+      return;
+    }
+
+    res.json(tournament);
+  });
+
+  router.get("/history/:gameId", (req, res) => {
+    const record = historyStore.get(req.params.gameId);
+
+    if (!record) {
+      res.status(404).json({ error: "Game not found" });
+      return;
+    }
+
+    res.json(record);
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRouter };
@@ -0,0 +1,109 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+function matchesPlayer(record, player) {
+  const needle = player.toLowerCase();
+  return record.players.some(
+    (p) => p.id === player || (p.name || "").toLowerCase() === needle
+  );
+}
+
+function parseLimit(limit) {
+  const value = parseInt(limit);
+  if (!Number.isInteger(value) || value <= 0) return DEFAULT_LIMIT;
+  return Math.min(value, MAX_LIMIT);
+}
+
+// Finished games live in an append-only JSONL file, one record per line,
+// and are kept in memory for querying.
+function createHistoryStore(filePath, { logger }) {
+  const records = [];
+  const byId = new Map();
+
+  if (fs.existsSync(filePath)) {
+    fs.readFileSync(filePath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .forEach((line, index) => {
+        try {
+          const record = JSON.parse(line);
+          records.push(record);
+          byId.set(record.id, record);
+        } catch (error) {
+          logger.error("Skipping corrupt history line", {
+            file: filePath,
+            line: index + 1,
+            error,
+          });
+        }
+      });
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  function append(record) {
+    fs.appendFileSync(filePath, JSON.stringify(record) + "\n");
+    records.push(record);
+    byId.set(record.id, record);
+    return record;
+  }
+
+  function get(id) {
+    return byId.get(id) || null;
+  }
+
+  // Oldest first, in the order games finished
+  function all() {
+    return [...records];
+  }
+
+  // Newest first. The cursor is the id of the last record of the previous
+  // page, so paging stays stable while new games are appended.
+  function query({ player, from, to, limit, cursor } = {}) {
+    const fromTime = from ? Date.parse(from) : null;
+    const toTime = to ? Date.parse(to) : null;
+
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      return { valid: false, error: "Invalid date range" };
+    }
+
+    let start = records.length - 1;
+    if (cursor) {
+      const cursorIndex = records.findIndex((r) => r.id === cursor);
+      if (cursorIndex === -1) {
+        return { valid: false, error: "Unknown cursor" };
+      }
+      start = cursorIndex - 1;
+    }
+
+    const pageSize = parseLimit(limit);
+    const games = [];
+    let index = start;
+
+    for (; index >= 0 && games.length < pageSize; index--) {
+      const record = records[index];
+      const time = Date.parse(record.date);
+
+      if (player && !matchesPlayer(record, player)) continue;
+      if (fromTime !== null && time < fromTime) continue;
+      if (toTime !== null && time > toTime) continue;
+
+      games.push(record);
+    }
+
+    const hasMore = games.length === pageSize && index >= 0;
+
+    return {
+      valid: true,
+      games,
+      nextCursor: hasMore ? games[games.length - 1].id : null,
+    };
+  }
+
+  return { append, get, all, query };
+}
+
+module.exports = { createHistoryStore };
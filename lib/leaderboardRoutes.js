@@ -0,0 +1,27 @@
+const express = require("express");
+
+const MAX_LIMIT = 100;
+
+function createLeaderboardRouter(statsTracker) {
+  const router = express.Router();
+
+  router.get("/leaderboard", (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+    res.json({ leaderboard: statsTracker.getLeaderboard(limit) });
+  });
+
+  router.get("/leaderboard/:profileId", (req, res) => {
+    const stats = statsTracker.getPlayerStats(req.params.profileId);
+
+    if (!stats) {
+      res.status(404).json({ error: "Player not found" });
+      return;
+    }
+
+    res.json(stats);
+  });
+
+  return router;
+}
+
+module.exports = { createLeaderboardRouter };
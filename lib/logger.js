@@ -0,0 +1,36 @@
+// One JSON object per line, so logs can be filtered by roomId / playerId
+// instead of grepped. `child` adds fields to every line it writes.
+function createLogger(fields = {}, write = defaultWrite) {
+  function log(level, message, extra = {}) {
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...fields,
+      ...extra,
+    };
+
+    if (entry.error instanceof Error) {
+      entry.error = { message: entry.error.message, stack: entry.error.stack };
+    }
+
+    write(level, JSON.stringify(entry));
+  }
+
+  return {
+    info: (message, extra) => log("info", message, extra),
+    warn: (message, extra) => log("warn", message, extra),
+    error: (message, extra) => log("error", message, extra),
+    child: (extra) => createLogger({ ...fields, ...extra }, write),
+  };
+}
+
+function defaultWrite(level, line) {
+  if (level === "info") {
+    process.stdout.write(line + "\n");
+  } else {
+    process.stderr.write(line + "\n");
+  }
+}
+
+module.exports = { createLogger };
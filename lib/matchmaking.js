@@ -0,0 +1,189 @@
+const { resolveRuleset } = require("./rulesets");
+const { ERROR_CODES } = require("./errorCodes");
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 7;
+const DEFAULT_MAX_PLAYERS = 4;
+const RECENT_WAITS = 20;
+
+function resolveQueueSettings(input = {}) {
+  const minPlayers =
+    input.minPlayers === undefined ? MIN_PLAYERS : input.minPlayers;
+  const maxPlayers =
+    input.maxPlayers === undefined
+      ? Math.max(minPlayers, DEFAULT_MAX_PLAYERS)
+      : input.maxPlayers;
+
+  if (
+    ![minPlayers, maxPlayers].every(
+      (n) => Number.isInteger(n) && n >= MIN_PLAYERS && n <= MAX_PLAYERS
+    )
+  ) {
+    return {
+      valid: false,
+      error: `Player counts must be ${MIN_PLAYERS}-${MAX_PLAYERS}`,
+    };
+  }
+  if (minPlayers > maxPlayers) {
+    return {
+      valid: false,
+      error: "Minimum players can't be more than maximum players",
+    };
+  }
+
+  const rulesetResult = resolveRuleset(input.ruleset);
+  if (!rulesetResult.valid) return rulesetResult;
+
+  return {
+    valid: true,
+    settings: { minPlayers, maxPlayers, ruleset: rulesetResult.ruleset },
+  };
+}
+
+function createQueue() {
+  return { entries: [], recentWaits: [] };
+}
+
+function addToQueue(queue, playerId, settings, now) {
+  if (queue.entries.some((entry) => entry.playerId === playerId)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.ALREADY_QUEUED,
+      error: "Already in the queue",
+    };
+  }
+
+  queue.entries.push({
+    playerId,
+    ...settings,
+    rulesKey: JSON.stringify(settings.ruleset),
+    joinedAt: now,
+  });
+  return { valid: true };
+}
+
+function removeFromQueue(queue, playerId) {
+  const index = queue.entries.findIndex((e) => e.playerId === playerId);
+  if (index === -1) return false;
+  queue.entries.splice(index, 1);
+  return true;
+}
+
+// Players only meet others on the same rules whose player range overlaps
+// theirs.
+function compatible(a, b) {
+  return (
+    a.rulesKey === b.rulesKey &&
+    a.minPlayers <= b.maxPlayers &&
+    b.minPlayers <= a.maxPlayers
+  );
+}
+
+// Starting from `anchor`, adds players in queue order while some table size
+// still suits everyone. `size` is the most the group can grow to, `needed`
+// the fewest it can start with.
+function formGroup(queue, anchor) {
+  const group = {
+    members: [anchor],
+    needed: anchor.minPlayers,
+    size: anchor.maxPlayers,
+  };
+
+  for (const entry of queue.entries) {
+    if (group.members.length === group.size) break;
+    if (entry === anchor || !compatible(anchor, entry)) continue;
+
+    const needed = Math.max(group.needed, entry.minPlayers);
+    const size = Math.min(group.size, entry.maxPlayers);
+    if (needed <= size && group.members.length < size) {
+      group.members.push(entry);
+      group.needed = needed;
+      group.size = size;
+    }
+  }
+
+  return group;
+}
+
+// A group starts once it's full, or once its longest-waiting player has
+// waited `waitMs` and there are enough players to start. Oldest players
+// are matched first.
+function takeMatches(queue, now, waitMs) {
+  const matches = [];
+
+  for (let index = 0; index < queue.entries.length; index++) {
+    const anchor = queue.entries[index];
+    const group = formGroup(queue, anchor);
+    const timedOut = now - anchor.joinedAt >= waitMs;
+
+    if (
+      group.members.length === group.size ||
+      (timedOut && group.members.length >= group.needed)
+    ) {
+      group.members.forEach((member) => {
+        queue.entries.splice(queue.entries.indexOf(member), 1);
+        queue.recentWaits.push(now - member.joinedAt);
+      });
+      queue.recentWaits.splice(0, queue.recentWaits.length - RECENT_WAITS);
+
+      matches.push({
+        playerIds: group.members.map((member) => member.playerId),
+        ruleset: anchor.ruleset,
+      });
+      index = -1;
+    }
+  }
+
+  return matches;
+}
+
+// When the queue should be checked again because someone's wait runs out.
+function nextDeadline(queue, now, waitMs) {
+  const deadlines = queue.entries
+    .map((entry) => entry.joinedAt + waitMs)
+    .filter((deadline) => deadline > now);
+  return deadlines.length > 0 ? Math.min(...deadlines) : null;
+}
+
+// With enough compatible players waiting, the game starts when the longest
+// wait among them runs out, if not sooner; otherwise the estimate is the
+// recent average wait, or null before anyone has been matched.
+function getQueueStatus(queue, playerId, now, waitMs) {
+  const entry = queue.entries.find((e) => e.playerId === playerId);
+  if (!entry) return null;
+
+  const pool = queue.entries.filter(
+    (other) => other === entry || compatible(entry, other)
+  );
+  const waited = now - entry.joinedAt;
+
+  let expectedWaitMs = null;
+  if (pool.length >= entry.minPlayers) {
+    expectedWaitMs = Math.max(0, pool[0].joinedAt + waitMs - now);
+  } else if (queue.recentWaits.length > 0) {
+    const average =
+      queue.recentWaits.reduce((sum, ms) => sum + ms, 0) /
+      queue.recentWaits.length;
+    expectedWaitMs = Math.max(0, Math.round(average - waited));
+  }
+
+  return {
+    position: pool.indexOf(entry) + 1,
+    playersWaiting: pool.length,
+    minPlayers: entry.minPlayers,
+    maxPlayers: entry.maxPlayers,
+    ruleset: entry.ruleset.name,
+    waitedMs: waited,
+    expectedWaitMs,
+  };
+}
+
+module.exports = {
+  resolveQueueSettings,
+  createQueue,
+  addToQueue,
+  removeFromQueue,
+  takeMatches,
+  nextDeadline,
+  getQueueStatus,
+};
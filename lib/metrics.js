@@ -0,0 +1,129 @@
+// A small Prometheus registry: counters, gauges read at scrape time and
+// histograms, rendered in the text exposition format.
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+function labelKey(labels) {
+  return JSON.stringify(
+    Object.keys(labels)
+      .sort()
+      .map((key) => [key, labels[key]])
+  );
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) =>
+      `${key}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function createMetrics() {
+  const metrics = [];
+
+  function counter(name, help) {
+    const values = new Map();
+
+    metrics.push({
+      name,
+      help,
+      type: "counter",
+      samples: () =>
+        [...values.values()].map(({ labels, value }) => ({
+          name,
+          labels,
+          value,
+        })),
+    });
+
+    return {
+      inc(labels = {}, amount = 1) {
+        const key = labelKey(labels);
+        const entry = values.get(key) || { labels, value: 0 };
+        entry.value += amount;
+        values.set(key, entry);
+      },
+    };
+  }
+
+  // `collect` returns a number, or [{ labels, value }] for labelled gauges.
+  function gauge(name, help, collect) {
+    metrics.push({
+      name,
+      help,
+      type: "gauge",
+      samples: () => {
+        const result = collect();
+        return typeof result === "number"
+          ? [{ name, labels: {}, value: result }]
+          : result.map(({ labels, value }) => ({ name, labels, value }));
+      },
+    });
+  }
+
+  function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+
+    metrics.push({
+      name,
+      help,
+      type: "histogram",
+      samples: () =>
+        [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((le, index) => ({
+            name: `${name}_bucket`,
+            labels: { ...labels, le },
+            value: counts[index],
+          })),
+          {
+            name: `${name}_bucket`,
+            labels: { ...labels, le: "+Inf" },
+            value: count,
+          },
+          { name: `${name}_sum`, labels, value: sum },
+          { name: `${name}_count`, labels, value: count },
+        ]),
+    });
+
+    return {
+      observe(labels, value) {
+        const key = labelKey(labels);
+        const entry = series.get(key) || {
+          labels,
+          counts: buckets.map(() => 0),
+          sum: 0,
+          count: 0,
+        };
+
+        buckets.forEach((le, index) => {
+          if (value <= le) entry.counts[index] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  function render() {
+    return (
+      metrics
+        .map(({ name, help, type, samples }) =>
+          [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} ${type}`,
+            ...samples().map(
+              (sample) =>
+                `${sample.name}${formatLabels(sample.labels)} ${sample.value}`
+            ),
+          ].join("\n")
+        )
+        .join("\n") + "\n"
+    );
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+module.exports = { createMetrics };
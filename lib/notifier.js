@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+// Turn notifications for correspondence games. A notifier is any object
+// with `notify(notification)`; these stand in for email or push until a
+// real channel is wired up.
+
+function createLogNotifier(logger) {
+  return {
+    notify(notification) {
+      logger.info("Turn notification", notification);
+    },
+  };
+}
+
+// One JSON object per line, like the history file, so tests and scripts
+// can read back what would have been sent.
+function createFileNotifier(filePath) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  return {
+    notify(notification) {
+      fs.appendFileSync(
+        filePath,
+        `${JSON.stringify({
+          sentAt: new Date().toISOString(),
+          ...notification,
+        })}\n`
+      );
+    },
+  };
+}
+
+function createNotifier({ type = "log", logger, filePath }) {
+  switch (type) {
+    case "log":
+      return createLogNotifier(logger);
+    case "file":
+      return createFileNotifier(filePath);
+    default:
+      throw new Error(`Unknown notifier "${type}"`);
+  }
+}
+
+module.exports = { createLogNotifier, createFileNotifier, createNotifier };
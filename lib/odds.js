@@ -0,0 +1,245 @@
+const path = require("path");
+const { Worker } = require("worker_threads");
+const rules = require("./rules");
+
+// Exact turn odds by enumerating every roll. A roll only matters through how
+// many dice show each face still open, so faces already set aside share one
+// "dead" bucket and each outcome is weighted by its multinomial probability.
+
+const FACE_COUNT = rules.DICE_FACES.length;
+
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+// Every way to spread `dice` dice over `buckets` buckets.
+function compositions(dice, buckets) {
+  if (buckets === 1) return [[dice]];
+
+  const result = [];
+  for (let first = 0; first <= dice; first++) {
+    compositions(dice - first, buckets - 1).forEach((rest) => {
+      result.push([first, ...rest]);
+    });
+  }
+  return result;
+}
+
+function rollOutcomes(dice, openFaces) {
+  const deadFaces = FACE_COUNT - openFaces.length;
+
+  return compositions(dice, openFaces.length + 1)
+    .map(([dead, ...counts]) => {
+      const arrangements =
+        factorial(dice) /
+        [dead, ...counts].reduce((product, c) => product * factorial(c), 1);
+
+      return {
+        counts,
+        probability:
+          (arrangements * Math.pow(deadFaces, dead)) /
+          Math.pow(FACE_COUNT, dice),
+      };
+    })
+    .filter(({ probability }) => probability > 0);
+}
+
+function topWorms(game, playerId) {
+  const stack = game.playerStacks[playerId] || [];
+  return stack.length > 0 ? stack[stack.length - 1].worms : 0;
+}
+
+// Worms the player would take by stopping at `score`, or null if the grill
+// and opponents' top tiles offer nothing.
+function bestClaimWorms(game, playerId, score, hasWorm) {
+  const { ruleset } = game;
+  if (ruleset.requireWorm && !hasWorm) return null;
+
+  let best = null;
+  const consider = (tile) => {
+    if (best === null || tile.worms > best) best = tile.worms;
+  };
+
+  const onGrill = game.tiles.filter((tile) => tile.number <= score);
+  if (ruleset.mustTakeHighest) {
+    if (onGrill.length > 0) consider(onGrill[onGrill.length - 1]);
+  } else {
+    onGrill.forEach(consider);
+  }
+
+  if (ruleset.allowSteal) {
+    Object.entries(game.playerStacks).forEach(([pid, stack]) => {
+      const top = stack[stack.length - 1];
+      if (pid !== playerId && top && top.number === score) consider(top);
+    });
+  }
+
+  return best;
+}
+
+// Builds a solver for one decision point. `payoff.claim(worms)` scores
+// stopping, `payoff.bust` scores losing the turn; the player is assumed to
+// pick faces and stop/roll to maximise the payoff from here on.
+function createSolver(game, playerId, payoff) {
+  const memo = new Map();
+  const outcomes = new Map();
+
+  function outcomesFor(dice, openFaces) {
+    const key = `${dice}:${openFaces.join(",")}`;
+    if (!outcomes.has(key)) outcomes.set(key, rollOutcomes(dice, openFaces));
+    return outcomes.get(key);
+  }
+
+  // Value of rolling `dice` dice with `selected` faces already set aside.
+  function roll(dice, selected, score) {
+    const key = `${dice}|${[...selected].sort().join(",")}|${score}`;
+    if (memo.has(key)) return memo.get(key);
+
+    const openFaces = rules.DICE_FACES.filter(
+      (face) => !selected.includes(face)
+    );
+    let value = 0;
+
+    outcomesFor(dice, openFaces).forEach(({ counts, probability }) => {
+      let best = null;
+
+      openFaces.forEach((face, index) => {
+        const count = counts[index];
+        if (count === 0) return;
+
+        const option = decide(
+          dice - count,
+          [...selected, face],
+          score + rules.calculateDiceValue(face) * count
+        );
+        if (best === null || option > best) best = option;
+      });
+
+      value += probability * (best === null ? payoff.bust : best);
+    });
+
+    memo.set(key, value);
+    return value;
+  }
+
+  // Value right after setting a face aside: stop, roll on, or bust when
+  // neither is possible.
+  function decide(dice, selected, score) {
+    const claim = bestClaimWorms(
+      game,
+      playerId,
+      score,
+      selected.includes("worm")
+    );
+    const stop = claim === null ? null : payoff.claim(claim);
+    const rollOn = dice > 0 ? roll(dice, selected, score) : null;
+
+    if (stop === null && rollOn === null) return payoff.bust;
+    if (stop === null) return rollOn;
+    if (rollOn === null) return stop;
+    return Math.max(stop, rollOn);
+  }
+
+  return { roll };
+}
+
+// Odds for the player whose turn it is, taken between rolls. Returns
+// bustChance (next roll shows only faces already taken), claimChance (best
+// chance of ending the turn with a tile if they roll on), stopValue (worms
+// taken by stopping now, null if nothing can be taken) and rollValue
+// (expected worm change from rolling on and playing for the most worms,
+// counting the top tile lost on a bust).
+function getTurnOdds(game, playerId) {
+  const { turnState } = game;
+  const { availableDice, selectedFaces, currentScore, hasWorm } = turnState;
+
+  const stopValue = bestClaimWorms(game, playerId, currentScore, hasWorm);
+  const atRisk = topWorms(game, playerId);
+
+  if (availableDice === 0) {
+    return {
+      bustChance: null,
+      claimChance: null,
+      stopValue,
+      rollValue: null,
+      atRisk,
+      advice: "stop",
+    };
+  }
+
+  const deadFaces = selectedFaces.length;
+  const bustChance = Math.pow(deadFaces / FACE_COUNT, availableDice);
+
+  const claimChance = createSolver(game, playerId, {
+    claim: () => 1,
+    bust: 0,
+  }).roll(availableDice, selectedFaces, currentScore);
+
+  const rollValue = createSolver(game, playerId, {
+    claim: (worms) => worms,
+    bust: -atRisk,
+  }).roll(availableDice, selectedFaces, currentScore);
+
+  return {
+    bustChance,
+    claimChance,
+    stopValue,
+    rollValue,
+    atRisk,
+    advice: stopValue !== null && stopValue >= rollValue ? "stop" : "roll",
+  };
+}
+
+// Solving a turn takes hundreds of milliseconds, seconds with twelve dice,
+// so the server asks a worker thread instead of stalling every room. Only
+// the parts of the game the solver reads are sent across.
+function createOddsWorker() {
+  const pending = new Map();
+  let worker = null;
+  let nextId = 1;
+
+  function fail(error) {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+    worker = null;
+  }
+
+  function start() {
+    worker = new Worker(path.join(__dirname, "oddsWorker.js"));
+    worker.unref();
+    worker.on("message", ({ id, odds, error }) => {
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(odds);
+    });
+    worker.on("error", fail);
+    worker.on("exit", () => fail(new Error("Odds worker stopped")));
+  }
+
+  function getTurnOddsAsync(game, playerId) {
+    if (!worker) start();
+    const id = nextId++;
+    const { ruleset, tiles, playerStacks, turnState } = game;
+
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      worker.postMessage({
+        id,
+        game: { ruleset, tiles, playerStacks, turnState },
+        playerId,
+      });
+    });
+  }
+
+  function close() {
+    return worker ? worker.terminate() : Promise.resolve();
+  }
+
+  return { getTurnOdds: getTurnOddsAsync, close };
+}
+
+module.exports = { getTurnOdds, createOddsWorker };
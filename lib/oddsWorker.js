@@ -0,0 +1,11 @@
+const { parentPort } = require("worker_threads");
+const { getTurnOdds } = require("./odds");
+
+// Runs in a worker thread started by createOddsWorker.
+parentPort.on("message", ({ id, game, playerId }) => {
+  try {
+    parentPort.postMessage({ id, odds: getTurnOdds(game, playerId) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
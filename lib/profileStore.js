@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { ERROR_CODES } = require("./errorCodes");
+
+// Secrets are long random strings, so a plain hash is enough to store.
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function hashesMatch(a, b) {
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+}
+
+function normalizeName(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Named player profiles, so results follow a person across sessions instead
+// of the throwaway per-connection player id. Kept in one small JSON file.
+function createProfileStore(filePath) {
+  const profiles = new Map();
+
+  if (fs.existsSync(filePath)) {
+    JSON.parse(fs.readFileSync(filePath, "utf8")).forEach((profile) => {
+      profiles.set(profile.id, profile);
+    });
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  function save() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...profiles.values()], null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function findByName(name) {
+    const key = normalizeName(name);
+    for (const profile of profiles.values()) {
+      if (normalizeName(profile.name) === key) return profile;
+    }
+    return null;
+  }
+
+  // A name belongs to whoever registered it first. They get a secret back
+  // (only its hash is kept), and registering under the name again needs
+  // it. Profiles saved before secrets existed go to the next claimant.
+  function claim(name, secret) {
+    const existing = findByName(name);
+
+    if (existing && existing.secretHash) {
+      if (
+        typeof secret !== "string" ||
+        !hashesMatch(hashSecret(secret), existing.secretHash)
+      ) {
+        return {
+          valid: false,
+          code: ERROR_CODES.NAME_TAKEN,
+          error: "That name belongs to another player",
+        };
+      }
+      return { valid: true, profile: existing, secret: null };
+    }
+
+    const profile = existing || {
+      id: uuidv4(),
+      name: String(name).trim(),
+      createdAt: new Date().toISOString(),
+    };
+    const newSecret = crypto.randomBytes(24).toString("hex");
+    profile.secretHash = hashSecret(newSecret);
+    profiles.set(profile.id, profile);
+    save();
+    return { valid: true, profile, secret: newSecret };
+  }
+
+  function get(id) {
+    return profiles.get(id) || null;
+  }
+
+  return { claim, get, findByName };
+}
+
+module.exports = { createProfileStore };
@@ -0,0 +1,394 @@
+const { ERROR_CODES } = require("./errorCodes");
+const { DICE_FACES } = require("./rules");
+const { STRATEGIES } = require("./bots");
+
+// Bump when a message changes incompatibly; clients announce the version
+// they speak in `register` / `resume`. Version 2 sends game changes as
+// versioned deltas instead of the whole game state.
+const PROTOCOL_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+function required(type, options = {}) {
+  return { type, required: true, ...options };
+}
+
+function optional(type, options = {}) {
+  return { type, required: false, ...options };
+}
+
+// Every message may carry a `requestId`; replies to it echo the id back.
+const COMMON_FIELDS = {
+  type: required("string"),
+  requestId: optional(["string", "integer"], { maxLength: 64 }),
+};
+
+// `playerId` is accepted for older clients but the server acts as the
+// player bound to the connection; a different id is rejected.
+const seat = {
+  playerId: optional("string"),
+  roomId: required("string"),
+};
+
+const CLIENT_MESSAGES = {
+  register: {
+    name: required("string", { maxLength: 30 }),
+    protocolVersion: required("integer"),
+    profileSecret: optional("string", { maxLength: 100 }),
+  },
+  resume: {
+    token: required("string"),
+    protocolVersion: required("integer"),
+  },
+  list_rooms: {},
+  create_room: {
+    playerId: optional("string"),
+    roomName: required("string", { maxLength: 30 }),
+    turnTimeLimit: optional("integer"),
+    awayAfterTimeouts: optional("integer"),
+    maxPlayers: optional("integer"),
+    isPrivate: optional("boolean"),
+    password: optional("string", { maxLength: 50 }),
+    leaverTiles: optional("string", { enum: ["return", "keep"] }),
+    ruleset: optional(["string", "object"]),
+    oddsHints: optional("boolean"),
+    mode: optional("string", { enum: ["live", "correspondence"] }),
+    turnDeadlineHours: optional("integer"),
+  },
+  join_room: {
+    playerId: optional("string"),
+    roomId: optional("string"),
+    inviteCode: optional("string"),
+    password: optional("string"),
+  },
+  spectate_room: {
+    playerId: optional("string"),
+    roomId: optional("string"),
+    inviteCode: optional("string"),
+    password: optional("string"),
+  },
+  start_game: seat,
+  add_bot: {
+    ...seat,
+    difficulty: required("string", { enum: Object.keys(STRATEGIES) }),
+  },
+  remove_bot: { ...seat, botId: required("string") },
+  roll_dice: seat,
+  select_face: {
+    ...seat,
+    face: required("string", { enum: DICE_FACES }),
+  },
+  select_tile: { ...seat, tile: required("integer") },
+  stop_turn: seat,
+  get_turn_odds: seat,
+  im_back: seat,
+  sync_request: { ...seat, sinceVersion: required("integer") },
+  get_inbox: {},
+  open_game: seat,
+  close_game: {},
+  claim_tile: {},
+  replay_game: { gameId: required("string"), step: optional("integer") },
+  get_history: {
+    player: optional("string"),
+    from: optional("string"),
+    to: optional("string"),
+    limit: optional("integer"),
+    cursor: optional("string"),
+  },
+  chat_message: {
+    playerId: optional("string"),
+    roomId: optional(["string", "null"]),
+    text: required("string"),
+  },
+  mute_player: {
+    ...seat,
+    targetId: required("string"),
+    muted: optional("boolean"),
+  },
+  kick_player: { ...seat, targetId: required("string") },
+  rematch: seat,
+  get_leaderboard: { limit: optional("integer") },
+  get_player_stats: {
+    playerId: optional("string"),
+    profileId: optional("string"),
+  },
+  leave_room: seat,
+  list_tournaments: {},
+  get_tournament: { tournamentId: required("string") },
+  create_tournament: {
+    playerId: optional("string"),
+    name: required("string", { maxLength: 50 }),
+    rounds: optional("integer"),
+    targetPoints: optional("integer"),
+    seats: optional("integer"),
+    turnTimeLimit: optional("integer"),
+    ruleset: optional(["string", "object"]),
+  },
+  join_tournament: {
+    playerId: optional("string"),
+    tournamentId: required("string"),
+  },
+  leave_tournament: {
+    playerId: optional("string"),
+    tournamentId: required("string"),
+  },
+  start_tournament: {
+    playerId: optional("string"),
+    tournamentId: required("string"),
+  },
+  queue_join: {
+    playerId: optional("string"),
+    minPlayers: optional("integer"),
+    maxPlayers: optional("integer"),
+    ruleset: optional(["string", "object"]),
+  },
+  queue_leave: { playerId: optional("string") },
+};
+
+// Messages that can be sent before registering or resuming.
+const ANONYMOUS_MESSAGES = [
+  "register",
+  "resume",
+  "list_rooms",
+  "replay_game",
+  "get_history",
+  "get_leaderboard",
+  "get_player_stats",
+  "list_tournaments",
+  "get_tournament",
+];
+
+// Carried by every message that changes a game.
+const gameUpdate = {
+  version: required("integer"),
+  deltas: required("array"),
+};
+
+// Where a queued player stands, sent on joining and whenever it changes.
+const queueStatus = {
+  position: required("integer"),
+  playersWaiting: required("integer"),
+  expectedWaitMs: required(["integer", "null"]),
+};
+
+// What the server sends. Only the fields every instance carries are
+// listed; messages may add more.
+const SERVER_MESSAGES = {
+  error: { code: required("string"), message: required("string") },
+  registered: {
+    playerId: required("string"),
+    name: required("string"),
+    token: required("string"),
+    profileId: required("string"),
+    profileSecret: optional("string"),
+    protocolVersion: required("integer"),
+  },
+  resumed: {
+    playerId: required("string"),
+    token: required("string"),
+    protocolVersion: required("integer"),
+  },
+  resume_failed: { code: required("string"), message: required("string") },
+  rooms_list: { rooms: required("array") },
+  room_created: { roomId: required("string"), inviteCode: required("string") },
+  room_updated: { room: required("object") },
+  spectating: { room: required("object") },
+  kicked: { roomId: required("string") },
+  rematch: { room: required("object") },
+  game_started: { game: required("object") },
+  dice_rolled: {
+    ...gameUpdate,
+    playerId: required("string"),
+    diceResults: required("array"),
+    availableFaces: required("array"),
+  },
+  face_selected: {
+    ...gameUpdate,
+    playerId: required("string"),
+    face: required("string"),
+  },
+  turn_ended: { ...gameUpdate, gameOver: required("boolean") },
+  turn_bust: { ...gameUpdate, gameOver: required("boolean") },
+  turn_timer: {
+    playerId: required("string"),
+    remainingMs: required("integer"),
+  },
+  turn_timeout: { playerId: required("string") },
+  turn_odds: {
+    roomId: required("string"),
+    turnNumber: required("integer"),
+    odds: required("object"),
+  },
+  player_away: { ...gameUpdate, playerId: required("string") },
+  player_back: { ...gameUpdate, playerId: required("string") },
+  player_disconnected: { playerId: required("string") },
+  player_reconnected: { playerId: required("string") },
+  game_resumed: { gameState: required("object") },
+  inbox: { games: required("array") },
+  game_opened: {
+    room: required("object"),
+    gameState: required(["object", "null"]),
+  },
+  state_sync: {
+    roomId: required("string"),
+    version: required("integer"),
+    updates: optional("array"),
+    gameState: optional("object"),
+  },
+  room_closed: { roomId: required("string"), reason: required("string") },
+  maintenance_notice: { message: required("string") },
+  server_shutdown: { message: required("string") },
+  player_left_game: { ...gameUpdate, playerId: required("string") },
+  game_over: {
+    gameId: required("string"),
+    winner: required(["object", "null"]),
+    winners: required("array"),
+    finalScores: required("array"),
+  },
+  replay_started: { gameId: required("string") },
+  replay_event: { gameId: required("string"), event: required("object") },
+  replay_finished: { gameId: required("string"), state: required("object") },
+  game_history: { history: required("array") },
+  chat_history: { messages: required("array") },
+  chat_message: { message: required("object") },
+  leaderboard: { leaderboard: required("array") },
+  player_stats: { stats: required("object") },
+  tournaments_list: { tournaments: required("array") },
+  tournament_created: { tournament: required("object") },
+  tournament_updated: { tournament: required("object") },
+  tournament_round: {
+    tournamentId: required("string"),
+    round: required("integer"),
+    tables: required("array"),
+    byes: required("array"),
+  },
+  tournament_standings: {
+    tournamentId: required("string"),
+    round: required("integer"),
+    roundComplete: required("boolean"),
+    standings: required("array"),
+  },
+  tournament_finished: {
+    tournamentId: required("string"),
+    standings: required("array"),
+  },
+  tournament_results: { tournament: required("object") },
+  queue_joined: queueStatus,
+  queue_status: queueStatus,
+  queue_left: {},
+  match_found: { roomId: required("string") },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return (
+    actual === type ||
+    (type === "number" && actual === "integer") ||
+    (Array.isArray(type) && type.some((t) => matchesType(value, t)))
+  );
+}
+
+function validateFields(data, fields) {
+  for (const [name, spec] of Object.entries(fields)) {
+    const value = data[name];
+
+    if (value === undefined) {
+      if (spec.required) return `Missing field "${name}"`;
+      continue;
+    }
+
+    const types = [].concat(spec.type).join(" or ");
+    if (!matchesType(value, spec.type)) {
+      return `Field "${name}" must be ${types}`;
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return `Field "${name}" must be one of ${spec.enum.join(", ")}`;
+    }
+    if (
+      spec.maxLength &&
+      typeof value === "string" &&
+      value.length > spec.maxLength
+    ) {
+      return `Field "${name}" is longer than ${spec.maxLength} characters`;
+    }
+  }
+
+  return null;
+}
+
+function validateClientMessage(data) {
+  if (typeOf(data) !== "object") {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_MESSAGE,
+      error: "Message must be a JSON object",
+    };
+  }
+
+  const commonError = validateFields(data, COMMON_FIELDS);
+  if (commonError) {
+    return {
+      valid: false,
+      code: ERROR_CODES.INVALID_MESSAGE,
+      error: commonError,
+    };
+  }
+
+  // Own keys only: "constructor" and friends aren't message types
+  const fields = Object.hasOwn(CLIENT_MESSAGES, data.type)
+    ? CLIENT_MESSAGES[data.type]
+    : null;
+  if (!fields) {
+    return {
+      valid: false,
+      code: ERROR_CODES.UNKNOWN_MESSAGE_TYPE,
+      error: `Unknown message type "${data.type}"`,
+    };
+  }
+
+  const error = validateFields(data, fields);
+  if (error) {
+    return { valid: false, code: ERROR_CODES.INVALID_MESSAGE, error };
+  }
+
+  return { valid: true };
+}
+
+// Used to catch the server drifting from its own declared schema.
+function validateServerMessage(data) {
+  const fields = Object.hasOwn(SERVER_MESSAGES, data.type)
+    ? SERVER_MESSAGES[data.type]
+    : null;
+  if (!fields) {
+    return { valid: false, error: `Undeclared message type "${data.type}"` };
+  }
+
+  const error = validateFields(data, fields);
+  return error ? { valid: false, error } : { valid: true };
+}
+
+function requiresPlayer(type) {
+  return !ANONYMOUS_MESSAGES.includes(type);
+}
+
+function isSupportedVersion(version) {
+  return SUPPORTED_VERSIONS.includes(version);
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_VERSIONS,
+  CLIENT_MESSAGES,
+  SERVER_MESSAGES,
+  ERROR_CODES,
+  validateClientMessage,
+  validateServerMessage,
+  requiresPlayer,
+  isSupportedVersion,
+};
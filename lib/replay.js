@@ -0,0 +1,50 @@
+const rules = require("./rules");
+
+function applyEvent(game, event) {
+  switch (event.type) {
+    case "roll":
+      return rules.rollDice(game, event.playerId);
+    case "select_face":
+      return rules.selectFace(game, event.playerId, event.face);
+    case "claim":
+      return rules.claimTile(game, event.playerId, event.tile);
+    case "bust":
+      return rules.bust(game, event.playerId);
+    case "set_active":
+      rules.setPlayerActive(game, event.playerId, event.active);
+      return { valid: true };
+    case "leave":
+      return rules.removeFromGame(game, event.playerId, {
+        returnTiles: event.returnTiles,
+      });
+    default:
+      return { valid: false, error: `Unknown event type ${event.type}` };
+  }
+}
+
+// Rebuilds a game from its seed by re-running the first `step` logged
+// actions through the rules. Every re-run event must reproduce the logged
+// one exactly, otherwise the log and the rules disagree.
+// Records from before house rules carry no ruleset and get the standard one.
+function replayGame({ seed, startingOrder, log, ruleset }, step = log.length) {
+  const game = rules.createGame(startingOrder, {
+    seed,
+    ...(ruleset && { ruleset }),
+  });
+
+  log.slice(0, step).forEach((event) => {
+    const result = applyEvent(game, event);
+    const replayed = game.log[game.log.length - 1];
+
+    if (
+      result.valid === false ||
+      JSON.stringify(replayed) !== JSON.stringify(event)
+    ) {
+      throw new Error(`Replay diverged at event ${event.seq}`);
+    }
+  });
+
+  return game;
+}
+
+module.exports = { replayGame };
@@ -0,0 +1,64 @@
+const express = require("express");
+const { replayGame } = require("./replay");
+const { ERROR_CODES } = require("./errorCodes");
+
+// findGame(id) returns { id, seed, startingOrder, ruleset, log } for a
+// finished game, or null. Games in progress are never replayed, since their
+// seed gives away the rolls still to come.
+function createReplayRouter(findGame) {
+  const router = express.Router();
+
+  router.get("/games/:id/replay", (req, res) => {
+    const game = findGame(req.params.id);
+
+    if (!game || !game.log) {
+      res.status(404).json({
+        code: ERROR_CODES.NO_REPLAY,
+        error: "No replay available for this game",
+      });
+      return;
+    }
+
+    if (req.query.step !== undefined) {
+      const step = parseInt(req.query.step);
+
+      if (!Number.isInteger(step) || step < 0 || step > game.log.length) {
+        res
+          .status(400)
+          .json({ code: ERROR_CODES.INVALID_QUERY, error: "Invalid step" });
+        return;
+      }
+
+      // A stored log that no longer matches its seed can't be replayed
+      let replayed;
+      try {
+        replayed = replayGame(game, step);
+      } catch (error) {
+        res
+          .status(422)
+          .json({ code: ERROR_CODES.REPLAY_FAILED, error: error.message });
+        return;
+      }
+      res.json({ gameId: game.id, step, state: replayed });
+      return;
+    }
+
+    // Newline-delimited JSON: a header line, then one line per event
+    res.type("application/x-ndjson");
+    res.write(
+      JSON.stringify({
+        gameId: game.id,
+        seed: game.seed,
+        startingOrder: game.startingOrder,
+        ruleset: game.ruleset || null,
+        totalSteps: game.log.length,
+      }) + "\n"
+    );
+    game.log.forEach((event) => res.write(JSON.stringify(event) + "\n"));
+    res.end();
+  });
+
+  return router;
+}
+
+module.exports = { createReplayRouter };
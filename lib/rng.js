@@ -0,0 +1,30 @@
+const crypto = require("crypto");
+
+function createSeed() {
+  return crypto.randomBytes(4).readUInt32LE(0);
+}
+
+// mulberry32: small, fast and good enough for dice. The whole generator
+// state is one 32-bit integer, so it can live on the game object and be
+// saved or replayed along with it.
+function nextRandom(state) {
+  const nextState = (state + 0x6d2b79f5) >>> 0;
+  let t = nextState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  return { value, state: nextState };
+}
+
+// The same generator as a Math.random-style function, for callers with no
+// game object to keep the state on.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    const draw = nextRandom(state);
+    state = draw.state;
+    return draw.value;
+  };
+}
+
+module.exports = { createSeed, nextRandom, createRandom };
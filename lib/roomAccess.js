@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// No 0/O or 1/I/L so codes survive being read out loud
+const INVITE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+
+function generateInviteCode(isTaken) {
+  let code;
+  do {
+    code = Array.from(
+      crypto.randomBytes(INVITE_CODE_LENGTH),
+      (byte) => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]
+    ).join("");
+  } while (isTaken(code));
+  return code;
+}
+
+function normalizeInviteCode(code) {
+  return String(code || "")
+    .trim()
+    .toUpperCase();
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, 32).toString("hex");
+  return { salt, hash };
+}
+
+// Async so a run of guesses doesn't hold up every other room.
+async function verifyPassword(password, stored) {
+  if (typeof password !== "string") return false;
+  const hash = await scrypt(password, stored.salt, 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(stored.hash, "hex"));
+}
+
+module.exports = {
+  generateInviteCode,
+  normalizeInviteCode,
+  hashPassword,
+  verifyPassword,
+};
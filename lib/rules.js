@@ -0,0 +1,542 @@
+const { createSeed, nextRandom } = require("./rng");
+const { resolveRuleset } = require("./rulesets");
+const { ERROR_CODES } = require("./errorCodes");
+
+const STANDARD = resolveRuleset().ruleset;
+const TILES = STANDARD.tiles;
+
+const DICE_FACES = ["1", "2", "3", "4", "5", "worm"];
+const DICE_COUNT = STANDARD.diceCount;
+
+function createTurnState(diceCount = DICE_COUNT) {
+  return {
+    availableDice: diceCount,
+    selectedFaces: [],
+    currentScore: 0,
+    hasWorm: false,
+    rolledDice: [],
+    faceCounts: {},
+  };
+}
+
+// `ruleset` comes from resolveRuleset and is kept on the game, so replays
+// and records play by the same house rules.
+function createGame(
+  playerIds,
+  { seed = createSeed(), ruleset = STANDARD } = {}
+) {
+  const playerStacks = {};
+  playerIds.forEach((pid) => {
+    playerStacks[pid] = [];
+  });
+
+  return {
+    seed,
+    rngState: seed,
+    startingOrder: [...playerIds],
+    log: [],
+    ruleset,
+    tiles: ruleset.tiles.map((tile) => ({ ...tile })),
+    faceDownTiles: [],
+    playerStacks,
+    playerOrder: [...playerIds],
+    inactivePlayers: [],
+    currentPlayerIndex: 0,
+    currentPlayerId: playerIds[0],
+    turnNumber: 1,
+    turnState: createTurnState(ruleset.diceCount),
+  };
+}
+
+function rollDie(game) {
+  const { value, state } = nextRandom(game.rngState);
+  game.rngState = state;
+  return DICE_FACES[Math.floor(value * DICE_FACES.length)];
+}
+
+// Every state change goes through here so a game can be audited and
+// rebuilt from its seed plus this list.
+function logEvent(game, event) {
+  game.log.push({ seq: game.log.length + 1, ...event });
+}
+
+function calculateDiceValue(face) {
+  return face === "worm" ? 5 : parseInt(face);
+}
+
+function topTile(stack) {
+  return stack.length > 0 ? stack[stack.length - 1] : null;
+}
+
+function isGameOver(game) {
+  return game.tiles.length === 0;
+}
+
+// Checked before every action. Once the grill is empty the last player
+// stays current, but nothing may move any more.
+function turnError(game, playerId) {
+  if (isGameOver(game)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.GAME_OVER,
+      error: "The game is over",
+    };
+  }
+
+  if (game.currentPlayerId !== playerId) {
+    return {
+      valid: false,
+      code: ERROR_CODES.NOT_YOUR_TURN,
+      error: "Not your turn",
+    };
+  }
+
+  return null;
+}
+
+// Highest tile on the grill at or below the current score, if any.
+function findGrillTile(game, score) {
+  let best = null;
+  game.tiles.forEach((tile) => {
+    if (tile.number <= score && (!best || tile.number > best.number)) {
+      best = tile;
+    }
+  });
+  return best;
+}
+
+// Opponents whose top tile matches the current score exactly.
+function findStealTargets(game, playerId, score) {
+  if (!game.ruleset.allowSteal) return [];
+
+  return Object.entries(game.playerStacks)
+    .filter(([pid, stack]) => {
+      const top = topTile(stack);
+      return pid !== playerId && top && top.number === score;
+    })
+    .map(([pid, stack]) => ({ playerId: pid, tile: topTile(stack) }));
+}
+
+function getClaimOptions(game, playerId) {
+  const { turnState } = game;
+
+  if (
+    (game.ruleset.requireWorm && !turnState.hasWorm) ||
+    turnState.rolledDice.length > 0
+  ) {
+    return { grillTile: null, steals: [] };
+  }
+
+  return {
+    grillTile: findGrillTile(game, turnState.currentScore),
+    steals: findStealTargets(game, playerId, turnState.currentScore),
+  };
+}
+
+function canClaimAnything(game, playerId) {
+  const options = getClaimOptions(game, playerId);
+  return Boolean(options.grillTile) || options.steals.length > 0;
+}
+
+// Faces already set aside this turn can't be picked again
+function getAvailableFaces(turnState, dice = turnState.rolledDice) {
+  return [...new Set(dice)].filter(
+    (face) => !turnState.selectedFaces.includes(face)
+  );
+}
+
+function rollDice(game, playerId) {
+  const { turnState } = game;
+
+  const notAllowed = turnError(game, playerId);
+  if (notAllowed) return notAllowed;
+
+  if (turnState.rolledDice.length > 0) {
+    return {
+      valid: false,
+      code: ERROR_CODES.SELECT_FACE_FIRST,
+      error: "Select a face before rolling again",
+    };
+  }
+
+  if (turnState.availableDice <= 0) {
+    return {
+      valid: false,
+      code: ERROR_CODES.NO_DICE_LEFT,
+      error: "No dice available",
+    };
+  }
+
+  const diceResults = [];
+  for (let i = 0; i < turnState.availableDice; i++) {
+    diceResults.push(rollDie(game));
+  }
+
+  const faceCounts = {};
+  diceResults.forEach((face) => {
+    faceCounts[face] = (faceCounts[face] || 0) + 1;
+  });
+
+  const availableFaces = getAvailableFaces(turnState, diceResults);
+
+  logEvent(game, {
+    type: "roll",
+    playerId,
+    dice: diceResults,
+    bust: availableFaces.length === 0,
+  });
+
+  if (availableFaces.length === 0) {
+    return { valid: true, bust: true, diceResults };
+  }
+
+  turnState.rolledDice = diceResults;
+  turnState.faceCounts = faceCounts;
+
+  return {
+    valid: true,
+    bust: false,
+    diceResults,
+    availableFaces,
+    faceCounts,
+  };
+}
+
+function selectFace(game, playerId, face) {
+  const { turnState } = game;
+
+  const notAllowed = turnError(game, playerId);
+  if (notAllowed) return notAllowed;
+
+  if (turnState.rolledDice.length === 0) {
+    return {
+      valid: false,
+      code: ERROR_CODES.ROLL_FIRST,
+      error: "Roll the dice first",
+    };
+  }
+
+  if (turnState.selectedFaces.includes(face)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.FACE_ALREADY_TAKEN,
+      error: "Face already selected this turn",
+    };
+  }
+
+  if (!turnState.rolledDice.includes(face)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.FACE_NOT_ROLLED,
+      error: "Face not in current roll",
+    };
+  }
+
+  const count = turnState.rolledDice.filter((f) => f === face).length;
+  const pointsGained = calculateDiceValue(face) * count;
+
+  turnState.selectedFaces.push(face);
+  turnState.currentScore += pointsGained;
+  turnState.availableDice -= count;
+
+  if (face === "worm") {
+    turnState.hasWorm = true;
+  }
+
+  turnState.rolledDice = [];
+  turnState.faceCounts = {};
+
+  logEvent(game, { type: "select_face", playerId, face, count });
+
+  // Out of dice with nothing to take ends the turn as a bust
+  const bust =
+    turnState.availableDice === 0 && !canClaimAnything(game, playerId);
+
+  return { valid: true, count, value: pointsGained, bust };
+}
+
+// Inactive players are skipped, unless nobody is active at all.
+function advanceTurn(game) {
+  const count = game.playerOrder.length;
+  let nextIndex = (game.currentPlayerIndex + 1) % count;
+
+  for (let i = 0; i < count; i++) {
+    const candidate = (game.currentPlayerIndex + 1 + i) % count;
+    if (!game.inactivePlayers.includes(game.playerOrder[candidate])) {
+      nextIndex = candidate;
+      break;
+    }
+  }
+
+  game.currentPlayerIndex = nextIndex;
+  game.currentPlayerId = game.playerOrder[nextIndex];
+  game.turnNumber += 1;
+  game.turnState = createTurnState(game.ruleset.diceCount);
+}
+
+function setPlayerActive(game, playerId, active) {
+  game.inactivePlayers = game.inactivePlayers.filter((pid) => pid !== playerId);
+  if (!active) {
+    game.inactivePlayers.push(playerId);
+  }
+
+  logEvent(game, { type: "set_active", playerId, active });
+}
+
+// Takes a departed player out of the rotation. Their tiles either go back
+// on the grill or stay in their stack for the final count; if it was their
+// turn, play moves on to the next seat without a bust.
+function removeFromGame(game, playerId, { returnTiles = true } = {}) {
+  const index = game.playerOrder.indexOf(playerId);
+
+  if (index === -1) {
+    return {
+      valid: false,
+      code: ERROR_CODES.NOT_IN_GAME,
+      error: "Player is not in this game",
+    };
+  }
+
+  const wasCurrent = game.currentPlayerId === playerId;
+  let returnedTiles = [];
+
+  if (returnTiles) {
+    returnedTiles = game.playerStacks[playerId];
+    game.playerStacks[playerId] = [];
+    game.tiles.push(...returnedTiles);
+    game.tiles.sort((a, b) => a.number - b.number);
+  }
+
+  game.playerOrder.splice(index, 1);
+  game.inactivePlayers = game.inactivePlayers.filter((pid) => pid !== playerId);
+
+  logEvent(game, {
+    type: "leave",
+    playerId,
+    returnTiles,
+    returnedTiles: returnedTiles.map((tile) => tile.number),
+  });
+
+  if (index < game.currentPlayerIndex) {
+    game.currentPlayerIndex -= 1;
+  } else if (wasCurrent && game.playerOrder.length > 0) {
+    // advanceTurn moves on from the seat before the one that just emptied
+    game.currentPlayerIndex = index - 1;
+    advanceTurn(game);
+  }
+
+  return { valid: true, wasCurrent, returnedTiles };
+}
+
+function claimError(game, playerId, tileNumber, grillTile) {
+  if (game.tiles.some((t) => t.number === tileNumber)) {
+    return {
+      code: ERROR_CODES.MUST_TAKE_HIGHEST,
+      error: `You must take the highest available tile (${grillTile.number})`,
+    };
+  }
+
+  const heldByOpponent = Object.entries(game.playerStacks).some(
+    ([pid, stack]) => pid !== playerId && topTile(stack)?.number === tileNumber
+  );
+  if (heldByOpponent && !game.ruleset.allowSteal) {
+    return {
+      code: ERROR_CODES.STEAL_NOT_ALLOWED,
+      error: "Stealing is off in this room",
+    };
+  }
+  if (heldByOpponent) {
+    return {
+      code: ERROR_CODES.EXACT_SCORE_REQUIRED,
+      error: `Tile ${tileNumber} can only be stolen with an exact score`,
+    };
+  }
+
+  return {
+    code: ERROR_CODES.TILE_NOT_AVAILABLE,
+    error: `Tile ${tileNumber} is not available`,
+  };
+}
+
+function claimTile(game, playerId, tileNumber) {
+  const { turnState } = game;
+  const score = turnState.currentScore;
+
+  const notAllowed = turnError(game, playerId);
+  if (notAllowed) return notAllowed;
+
+  if (!Number.isInteger(tileNumber)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.TILE_NOT_AVAILABLE,
+      error: "No tile specified",
+    };
+  }
+
+  if (turnState.rolledDice.length > 0) {
+    return {
+      valid: false,
+      code: ERROR_CODES.SELECT_FACE_FIRST,
+      error: "Select a face before taking a tile",
+    };
+  }
+
+  if (game.ruleset.requireWorm && !turnState.hasWorm) {
+    return {
+      valid: false,
+      code: ERROR_CODES.WORM_REQUIRED,
+      error: "You need at least one worm to take a tile",
+    };
+  }
+
+  if (tileNumber > score) {
+    return {
+      valid: false,
+      code: ERROR_CODES.SCORE_TOO_LOW,
+      error: `Score ${score} is too low for tile ${tileNumber}`,
+    };
+  }
+
+  const steal = findStealTargets(game, playerId, score).find(
+    (target) => target.tile.number === tileNumber
+  );
+
+  let tile;
+  let stolenFrom = null;
+
+  if (steal) {
+    tile = game.playerStacks[steal.playerId].pop();
+    stolenFrom = steal.playerId;
+  } else {
+    const grillTile = findGrillTile(game, score);
+    const chosen = game.ruleset.mustTakeHighest
+      ? grillTile
+      : game.tiles.find((t) => t.number === tileNumber);
+
+    if (!chosen || chosen.number !== tileNumber) {
+      return {
+        valid: false,
+        ...claimError(game, playerId, tileNumber, grillTile),
+      };
+    }
+
+    game.tiles.splice(game.tiles.indexOf(chosen), 1);
+    tile = chosen;
+  }
+
+  game.playerStacks[playerId].push(tile);
+
+  logEvent(game, {
+    type: "claim",
+    playerId,
+    tile: tile.number,
+    stolenFrom,
+  });
+
+  const gameOver = isGameOver(game);
+  if (!gameOver) {
+    advanceTurn(game);
+  }
+
+  return { valid: true, tile, stolenFrom, gameOver };
+}
+
+// A bust costs the player their top tile, and the highest tile left on the
+// grill is turned face down unless it's the one that was just returned or
+// the house rules leave the grill alone.
+function bust(game, playerId) {
+  const notAllowed = turnError(game, playerId);
+  if (notAllowed) return notAllowed;
+
+  const stack = game.playerStacks[playerId];
+  let returnedTile = null;
+  let flippedTile = null;
+
+  if (stack && stack.length > 0) {
+    returnedTile = stack.pop();
+    game.tiles.push(returnedTile);
+    game.tiles.sort((a, b) => a.number - b.number);
+  }
+
+  const highest = game.tiles[game.tiles.length - 1];
+  if (game.ruleset.bustFlipsTopTile && highest && highest !== returnedTile) {
+    flippedTile = game.tiles.pop();
+    game.faceDownTiles.push(flippedTile);
+  }
+
+  logEvent(game, {
+    type: "bust",
+    playerId,
+    returnedTile: returnedTile ? returnedTile.number : null,
+    flippedTile: flippedTile ? flippedTile.number : null,
+  });
+
+  const gameOver = isGameOver(game);
+  if (!gameOver) {
+    advanceTurn(game);
+  }
+
+  return { valid: true, returnedTile, flippedTile, gameOver };
+}
+
+function highestTileNumber(stack) {
+  return stack.reduce((max, tile) => Math.max(max, tile.number), 0);
+}
+
+// Most worms wins; the official tie-break is the highest tile held, and
+// players still level share the place (1, 1, 3). Steals and tiles lost to
+// busts come from the game log.
+function calculateStandings(game) {
+  const entries = game.startingOrder.map((playerId) => {
+    const stack = game.playerStacks[playerId] || [];
+    return {
+      playerId,
+      worms: stack.reduce((sum, tile) => sum + tile.worms, 0),
+      highestTile: highestTileNumber(stack),
+      tiles: stack.map((tile) => ({ ...tile })),
+      steals: 0,
+      tilesLostToBusts: 0,
+    };
+  });
+  const byId = new Map(entries.map((entry) => [entry.playerId, entry]));
+
+  game.log.forEach((event) => {
+    const entry = byId.get(event.playerId);
+    if (!entry) return;
+    if (event.type === "claim" && event.stolenFrom) entry.steals += 1;
+    if (event.type === "bust" && event.returnedTile) {
+      entry.tilesLostToBusts += 1;
+    }
+  });
+
+  const compare = (a, b) => b.worms - a.worms || b.highestTile - a.highestTile;
+  const sorted = [...entries].sort(compare);
+
+  return sorted.map((entry, index) => {
+    const rank = sorted.findIndex((other) => compare(other, entry) === 0) + 1;
+    const shared = sorted.some(
+      (other, i) => i !== index && compare(other, entry) === 0
+    );
+    return { rank, shared, ...entry };
+  });
+}
+
+module.exports = {
+  TILES,
+  DICE_FACES,
+  DICE_COUNT,
+  createGame,
+  createTurnState,
+  calculateDiceValue,
+  getClaimOptions,
+  getAvailableFaces,
+  canClaimAnything,
+  rollDice,
+  selectFace,
+  claimTile,
+  bust,
+  setPlayerActive,
+  removeFromGame,
+  isGameOver,
+  calculateStandings,
+};
@@ -0,0 +1,171 @@
+const MAX_DICE = 12;
+const MAX_TILES = 30;
+const MAX_WORMS = 9;
+
+// Standard banding: one worm for the lowest four tiles, one more for each
+// next group of four.
+function buildTiles(min, max) {
+  const tiles = [];
+  for (let number = min; number <= max; number++) {
+    tiles.push({ number, worms: Math.floor((number - min) / 4) + 1 });
+  }
+  return tiles;
+}
+
+const PRESETS = {
+  standard: {
+    diceCount: 8,
+    tiles: buildTiles(21, 36),
+    requireWorm: true,
+    bustFlipsTopTile: true,
+    allowSteal: true,
+    mustTakeHighest: true,
+  },
+  friendly: {
+    diceCount: 8,
+    tiles: buildTiles(21, 36),
+    requireWorm: true,
+    bustFlipsTopTile: false,
+    allowSteal: false,
+    mustTakeHighest: true,
+  },
+  quick: {
+    diceCount: 8,
+    tiles: buildTiles(21, 28),
+    requireWorm: true,
+    bustFlipsTopTile: true,
+    allowSteal: true,
+    mustTakeHighest: true,
+  },
+  relaxed: {
+    diceCount: 8,
+    tiles: buildTiles(21, 36),
+    requireWorm: false,
+    bustFlipsTopTile: true,
+    allowSteal: true,
+    mustTakeHighest: false,
+  },
+};
+
+const DEFAULT_PRESET = "standard";
+const BOOLEAN_OPTIONS = [
+  "requireWorm",
+  "bustFlipsTopTile",
+  "allowSteal",
+  "mustTakeHighest",
+];
+
+function validateTiles(tiles, diceCount) {
+  if (!Array.isArray(tiles) || tiles.length === 0 || tiles.length > MAX_TILES) {
+    return `Rules need between 1 and ${MAX_TILES} tiles`;
+  }
+
+  const seen = new Set();
+  for (const tile of tiles) {
+    if (!tile || !Number.isInteger(tile.number) || tile.number < 1) {
+      return "Tile numbers must be positive whole numbers";
+    }
+    if (seen.has(tile.number)) {
+      return `Tile ${tile.number} appears twice`;
+    }
+    if (tile.number > diceCount * 5) {
+      return `Tile ${tile.number} can't be reached with ${diceCount} dice`;
+    }
+    if (
+      !Number.isInteger(tile.worms) ||
+      tile.worms < 1 ||
+      tile.worms > MAX_WORMS
+    ) {
+      return `Tile ${tile.number} needs 1-${MAX_WORMS} worms`;
+    }
+    seen.add(tile.number);
+  }
+
+  return null;
+}
+
+// Accepts a preset name, or { preset, ...overrides }. `tileRange` is a
+// shorthand for standard-banded tiles; `tiles` sets numbers and worms
+// explicitly.
+function resolveRuleset(input = DEFAULT_PRESET) {
+  const config = typeof input === "string" ? { preset: input } : input;
+
+  if (!config || typeof config !== "object") {
+    return { valid: false, error: "Invalid rules config" };
+  }
+
+  const presetName = config.preset || DEFAULT_PRESET;
+  const preset = PRESETS[presetName];
+
+  if (!preset) {
+    return { valid: false, error: `Unknown rules preset "${presetName}"` };
+  }
+
+  const ruleset = {
+    ...preset,
+    tiles: preset.tiles.map((tile) => ({ ...tile })),
+    preset: presetName,
+  };
+
+  if (config.diceCount !== undefined) {
+    if (
+      !Number.isInteger(config.diceCount) ||
+      config.diceCount < 1 ||
+      config.diceCount > MAX_DICE
+    ) {
+      return { valid: false, error: `Dice count must be 1-${MAX_DICE}` };
+    }
+    ruleset.diceCount = config.diceCount;
+  }
+
+  if (config.tileRange !== undefined) {
+    const { min, max } = config.tileRange || {};
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+      return { valid: false, error: "Tile range needs a whole min <= max" };
+    }
+    // Checked before building so a huge range never gets allocated.
+    if (max - min + 1 > MAX_TILES) {
+      return {
+        valid: false,
+        error: `Rules need between 1 and ${MAX_TILES} tiles`,
+      };
+    }
+    ruleset.tiles = buildTiles(min, max);
+  }
+
+  if (config.tiles !== undefined) {
+    ruleset.tiles = Array.isArray(config.tiles)
+      ? config.tiles.map((tile) => ({
+          number: tile?.number,
+          worms: tile?.worms,
+        }))
+      : config.tiles;
+  }
+
+  for (const option of BOOLEAN_OPTIONS) {
+    if (config[option] === undefined) continue;
+    if (typeof config[option] !== "boolean") {
+      return { valid: false, error: `${option} must be true or false` };
+    }
+    ruleset[option] = config[option];
+  }
+
+  const tileError = validateTiles(ruleset.tiles, ruleset.diceCount);
+  if (tileError) {
+    return { valid: false, error: tileError };
+  }
+
+  ruleset.tiles.sort((a, b) => a.number - b.number);
+  const changed =
+    JSON.stringify({ ...ruleset, preset: undefined }) !==
+    JSON.stringify({ ...preset, preset: undefined });
+  ruleset.name = changed ? `${presetName} (custom)` : presetName;
+
+  return { valid: true, ruleset };
+}
+
+module.exports = {
+  PRESETS,
+  DEFAULT_PRESET,
+  resolveRuleset,
+};
@@ -0,0 +1,168 @@
+const rules = require("./rules");
+const bots = require("./bots");
+const { nextRandom } = require("./rng");
+
+// Safety net for strategies that never stop rolling or never take a tile
+// under rules where a bust doesn't shrink the grill.
+const MAX_STEPS_PER_GAME = 20000;
+
+// Bot moves made straight on the rules. The server's handlers end a turn
+// on a bust; here that's done after the move.
+function rulesMoves(game) {
+  const playerId = game.currentPlayerId;
+  return {
+    selectFace(face) {
+      if (rules.selectFace(game, playerId, face).bust) {
+        rules.bust(game, playerId);
+      }
+    },
+    claimTile: (tileNumber) => rules.claimTile(game, playerId, tileNumber),
+    roll() {
+      if (rules.rollDice(game, playerId).bust) {
+        rules.bust(game, playerId);
+      }
+    },
+    giveUp: () => rules.bust(game, playerId),
+  };
+}
+
+// Plays one game with `seats` ([{ id, strategy }]) in seat order and
+// returns the finished game, or null if it hit the step limit.
+function playGame(seats, { seed, ruleset }) {
+  const game = rules.createGame(
+    seats.map((seat) => seat.id),
+    { seed, ruleset }
+  );
+  const byId = new Map(seats.map((seat) => [seat.id, seat]));
+  const random = bots.createBotRandom(game);
+
+  for (let step = 0; !rules.isGameOver(game); step++) {
+    if (step >= MAX_STEPS_PER_GAME) return null;
+    const seat = byId.get(game.currentPlayerId);
+    bots.playStep(game, seat.strategy, random, rulesMoves(game), () => {
+      seat.stats.invalidMoves += 1;
+    });
+  }
+
+  return game;
+}
+
+function createStats(name) {
+  return {
+    name,
+    games: 0,
+    wins: 0,
+    worms: 0,
+    turns: 0,
+    rolls: 0,
+    busts: 0,
+    steals: 0,
+    invalidMoves: 0,
+    tiles: {},
+  };
+}
+
+// Turns are read back from the game log: rolls count towards the turn in
+// progress, and a claim or a bust closes it.
+function recordGame(game, byId) {
+  const rollsThisTurn = {};
+
+  game.log.forEach((event) => {
+    const stats = byId.get(event.playerId)?.stats;
+    if (!stats) return;
+
+    if (event.type === "roll") {
+      rollsThisTurn[event.playerId] = (rollsThisTurn[event.playerId] || 0) + 1;
+    } else if (event.type === "claim" || event.type === "bust") {
+      stats.turns += 1;
+      stats.rolls += rollsThisTurn[event.playerId] || 0;
+      rollsThisTurn[event.playerId] = 0;
+
+      if (event.type === "bust") {
+        stats.busts += 1;
+      } else {
+        stats.tiles[event.tile] = (stats.tiles[event.tile] || 0) + 1;
+        if (event.stolenFrom) stats.steals += 1;
+      }
+    }
+  });
+
+  // A shared first place splits the win
+  const standings = rules.calculateStandings(game);
+  const winners = standings.filter((entry) => entry.rank === 1).length;
+
+  standings.forEach((entry) => {
+    const { stats } = byId.get(entry.playerId);
+    stats.games += 1;
+    stats.worms += entry.worms;
+    if (entry.rank === 1) stats.wins += 1 / winners;
+  });
+}
+
+function summarize(stats) {
+  const perGame = (value) => (stats.games ? value / stats.games : 0);
+  const perTurn = (value) => (stats.turns ? value / stats.turns : 0);
+
+  return {
+    name: stats.name,
+    games: stats.games,
+    wins: stats.wins,
+    winRate: perGame(stats.wins),
+    averageWorms: perGame(stats.worms),
+    turns: stats.turns,
+    averageRollsPerTurn: perTurn(stats.rolls),
+    bustRate: perTurn(stats.busts),
+    steals: stats.steals,
+    invalidMoves: stats.invalidMoves,
+    tiles: stats.tiles,
+  };
+}
+
+// `strategies` is [{ name, strategy }], one per seat; a strategy has the
+// same chooseFace / chooseClaim shape as the built-in bots. Seats rotate
+// every game so no strategy keeps the opening turn. Each game's seed is
+// drawn from `seed` and also seeds the `random` strategies are handed, so
+// the same inputs give the same report.
+function runSimulation({ strategies, games, seed, ruleset }) {
+  const seats = strategies.map(({ name, strategy }, index) => ({
+    id: `seat${index + 1}`,
+    strategy,
+    stats: createStats(name),
+  }));
+  const byId = new Map(seats.map((seat) => [seat.id, seat]));
+
+  let rngState = seed;
+  let unfinished = 0;
+  let totalTurns = 0;
+
+  for (let index = 0; index < games; index++) {
+    const draw = nextRandom(rngState);
+    rngState = draw.state;
+
+    const shift = index % seats.length;
+    const order = [...seats.slice(shift), ...seats.slice(0, shift)];
+    const game = playGame(order, {
+      seed: Math.floor(draw.value * 4294967296),
+      ruleset,
+    });
+
+    if (!game) {
+      unfinished += 1;
+      continue;
+    }
+    recordGame(game, byId);
+    totalTurns += game.turnNumber;
+  }
+
+  const finished = games - unfinished;
+  return {
+    seed,
+    ruleset: ruleset.name,
+    games: finished,
+    unfinished,
+    averageTurnsPerGame: finished ? totalTurns / finished : 0,
+    strategies: seats.map((seat) => summarize(seat.stats)),
+  };
+}
+
+module.exports = { runSimulation, playGame };
@@ -0,0 +1,30 @@
+const fs = require("fs");
+const path = require("path");
+
+// One JSON file holding the latest copy of the live server state. Writes go
+// through a temp file and a rename, so a crash mid-write leaves the previous
+// snapshot intact.
+function createSnapshotStore(filePath, { logger }) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  function load() {
+    if (!fs.existsSync(filePath)) return null;
+
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      logger.error("Ignoring unreadable snapshot", { file: filePath, error });
+      return null;
+    }
+  }
+
+  function save(state) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  return { load, save };
+}
+
+module.exports = { createSnapshotStore };
@@ -0,0 +1,177 @@
+// Every change to a room's game gets the next state version and is sent as
+// a short list of deltas. Rooms keep the latest updates so a client that
+// notices a gap can catch up without fetching the whole game again.
+
+const MAX_RETAINED_UPDATES = 100;
+
+// Plain data only, so the sync state is saved with the room snapshot.
+function createSync(version = 0) {
+  return { version, baseVersion: version, updates: [], view: null };
+}
+
+function captureView(game) {
+  const tiles = {};
+  game.tiles.forEach((tile) => {
+    tiles[tile.number] = { zone: "grill" };
+  });
+  game.faceDownTiles.forEach((tile) => {
+    tiles[tile.number] = { zone: "faceDown" };
+  });
+  Object.entries(game.playerStacks).forEach(([playerId, stack]) => {
+    stack.forEach((tile) => {
+      tiles[tile.number] = { zone: "stack", playerId };
+    });
+  });
+
+  return {
+    tiles,
+    currentPlayerId: game.currentPlayerId,
+    turnState: JSON.parse(JSON.stringify(game.turnState)),
+    inactivePlayers: [...game.inactivePlayers],
+    leftPlayerIds: game.startingOrder.filter(
+      (pid) => !game.playerOrder.includes(pid)
+    ),
+  };
+}
+
+function sameZone(a, b) {
+  return a.zone === b.zone && a.playerId === b.playerId;
+}
+
+function findTile(game, number) {
+  return [
+    ...game.tiles,
+    ...game.faceDownTiles,
+    ...Object.values(game.playerStacks).flat(),
+  ].find((tile) => tile.number === number);
+}
+
+// Delta types:
+//   tile_moved       { tile, from, to } between the grill, the face-down
+//                    pile and a player's stack ({ zone, playerId })
+//   turn_state       { currentPlayerId, turnState }
+//   players_changed  { inactivePlayers, leftPlayerIds }
+function diffViews(before, after, game) {
+  const deltas = [];
+
+  Object.keys(after.tiles)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .forEach((number) => {
+      const from = before.tiles[number];
+      const to = after.tiles[number];
+      if (from && !sameZone(from, to)) {
+        const { worms } = findTile(game, number);
+        deltas.push({ type: "tile_moved", tile: { number, worms }, from, to });
+      }
+    });
+
+  if (
+    before.currentPlayerId !== after.currentPlayerId ||
+    JSON.stringify(before.turnState) !== JSON.stringify(after.turnState)
+  ) {
+    deltas.push({
+      type: "turn_state",
+      currentPlayerId: after.currentPlayerId,
+      turnState: after.turnState,
+    });
+  }
+
+  if (
+    JSON.stringify(before.inactivePlayers) !==
+      JSON.stringify(after.inactivePlayers) ||
+    JSON.stringify(before.leftPlayerIds) !== JSON.stringify(after.leftPlayerIds)
+  ) {
+    deltas.push({
+      type: "players_changed",
+      inactivePlayers: after.inactivePlayers,
+      leftPlayerIds: after.leftPlayerIds,
+    });
+  }
+
+  return deltas;
+}
+
+// A new game starts from a full snapshot, so older deltas no longer apply.
+function resetSync(sync, game) {
+  sync.version += 1;
+  sync.baseVersion = sync.version;
+  sync.updates = [];
+  sync.view = captureView(game);
+}
+
+// Records what changed since the last update under the next version.
+function commitUpdate(sync, game) {
+  const view = captureView(game);
+  const update = {
+    version: sync.version + 1,
+    deltas: diffViews(sync.view, view, game),
+  };
+
+  sync.version = update.version;
+  sync.view = view;
+  sync.updates.push(update);
+  if (sync.updates.length > MAX_RETAINED_UPDATES) {
+    sync.updates.shift();
+  }
+  return update;
+}
+
+// The updates after `sinceVersion`, or null when they're no longer kept (or
+// the client is on another game) and it needs a full snapshot instead.
+function getUpdatesSince(sync, sinceVersion) {
+  if (sinceVersion > sync.version || sinceVersion < sync.baseVersion) {
+    return null;
+  }
+
+  const missing = sync.updates.filter((u) => u.version > sinceVersion);
+  const oldest = missing.length > 0 ? missing[0].version : sync.version + 1;
+  return oldest === sinceVersion + 1 ? missing : null;
+}
+
+function zoneList(gameState, zone) {
+  if (zone.zone === "grill") return gameState.tiles;
+  if (zone.zone === "faceDown") return gameState.faceDownTiles;
+  return gameState.playerStacks[zone.playerId];
+}
+
+// Client side: applies deltas to a game state as sent in `game_started`
+// or `state_sync`, in place.
+function applyDeltas(gameState, deltas) {
+  deltas.forEach((delta) => {
+    switch (delta.type) {
+      case "tile_moved": {
+        const from = zoneList(gameState, delta.from);
+        from.splice(
+          from.findIndex((tile) => tile.number === delta.tile.number),
+          1
+        );
+        const to = zoneList(gameState, delta.to);
+        to.push({ ...delta.tile });
+        if (delta.to.zone === "grill") {
+          to.sort((a, b) => a.number - b.number);
+        }
+        break;
+      }
+      case "turn_state":
+        gameState.currentPlayerId = delta.currentPlayerId;
+        gameState.turnState = delta.turnState;
+        break;
+      case "players_changed":
+        gameState.inactivePlayers = delta.inactivePlayers;
+        gameState.players.forEach((player) => {
+          player.left = delta.leftPlayerIds.includes(player.id);
+        });
+        break;
+    }
+  });
+  return gameState;
+}
+
+module.exports = {
+  createSync,
+  resetSync,
+  commitUpdate,
+  getUpdatesSince,
+  applyDeltas,
+};
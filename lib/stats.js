@@ -0,0 +1,162 @@
+const INITIAL_RATING = 1500;
+const K_FACTOR = 32;
+
+function roundTo(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Lower is better. Ranks include the highest-tile tie-break; records from
+// before ranks only have worm totals.
+function placing(player) {
+  return player.rank === undefined ? -player.worms : player.rank;
+}
+
+// Ratings and statistics are derived from the recorded games alone: feed
+// every record to recordGame in the order the games finished.
+function createStatsTracker() {
+  const entries = new Map();
+
+  function entryFor(profileId, name) {
+    if (!entries.has(profileId)) {
+      entries.set(profileId, {
+        profileId,
+        name,
+        rating: INITIAL_RATING,
+        ratedGames: 0,
+        gamesPlayed: 0,
+        wins: 0,
+        totalWorms: 0,
+        turns: 0,
+        busts: 0,
+        stealsMade: 0,
+        stealsSuffered: 0,
+        tileCounts: {},
+      });
+    }
+    const entry = entries.get(profileId);
+    entry.name = name || entry.name;
+    return entry;
+  }
+
+  // Multi-player Elo: every pair of profiles in the game counts as one
+  // match decided by their places, scaled so a game is worth one K.
+  function updateRatings(rated) {
+    const deltas = rated.map((player) => {
+      const entry = entries.get(player.profileId);
+      const opponents = rated.filter((p) => p.profileId !== player.profileId);
+
+      const total = opponents.reduce((sum, opponent) => {
+        const opponentEntry = entries.get(opponent.profileId);
+        let actual = 0.5;
+        if (placing(player) < placing(opponent)) actual = 1;
+        if (placing(player) > placing(opponent)) actual = 0;
+        return sum + actual - expectedScore(entry.rating, opponentEntry.rating);
+      }, 0);
+
+      return (K_FACTOR / opponents.length) * total;
+    });
+
+    rated.forEach((player, index) => {
+      const entry = entries.get(player.profileId);
+      entry.rating += deltas[index];
+      entry.ratedGames += 1;
+    });
+  }
+
+  function recordGame(record) {
+    const profileBySession = new Map(
+      record.players.map((p) => [p.id, p.profileId || null])
+    );
+    // One profile in two seats counts once, at its better place
+    const humans = record.players.filter(
+      (player, index) =>
+        player.profileId &&
+        record.players.findIndex((p) => p.profileId === player.profileId) ===
+          index
+    );
+
+    humans.forEach((player) => {
+      const entry = entryFor(player.profileId, player.name);
+      entry.gamesPlayed += 1;
+      entry.totalWorms += player.worms;
+      // Older records have no ranks, only the one winner
+      const won =
+        player.rank === undefined
+          ? Boolean(record.winner) && record.winner.id === player.id
+          : player.rank === 1;
+      if (won) entry.wins += 1;
+    });
+
+    (record.log || []).forEach((event) => {
+      const entry = entries.get(profileBySession.get(event.playerId));
+
+      if (event.type === "claim") {
+        const victim = entries.get(profileBySession.get(event.stolenFrom));
+        if (victim) victim.stealsSuffered += 1;
+        if (!entry) return;
+
+        entry.turns += 1;
+        entry.tileCounts[event.tile] = (entry.tileCounts[event.tile] || 0) + 1;
+        if (event.stolenFrom) entry.stealsMade += 1;
+      } else if (event.type === "bust" && entry) {
+        entry.turns += 1;
+        entry.busts += 1;
+      }
+    });
+
+    if (humans.length >= 2) {
+      updateRatings(humans);
+    }
+  }
+
+  function getPlayerStats(profileId) {
+    const entry = entries.get(profileId);
+    if (!entry) return null;
+
+    let favouriteTile = null;
+    Object.entries(entry.tileCounts).forEach(([tile, count]) => {
+      if (!favouriteTile || count > entry.tileCounts[favouriteTile]) {
+        favouriteTile = tile;
+      }
+    });
+
+    return {
+      profileId: entry.profileId,
+      name: entry.name,
+      rating: Math.round(entry.rating),
+      ratedGames: entry.ratedGames,
+      gamesPlayed: entry.gamesPlayed,
+      wins: entry.wins,
+      winRate: roundTo(entry.wins / entry.gamesPlayed, 3),
+      averageWorms: roundTo(entry.totalWorms / entry.gamesPlayed, 2),
+      bustRate: entry.turns ? roundTo(entry.busts / entry.turns, 3) : 0,
+      stealsMade: entry.stealsMade,
+      stealsSuffered: entry.stealsSuffered,
+      favouriteTile: favouriteTile === null ? null : Number(favouriteTile),
+    };
+  }
+
+  function getLeaderboard(limit = 20) {
+    return [...entries.values()]
+      .filter((entry) => entry.gamesPlayed > 0)
+      .sort((a, b) => b.rating - a.rating)
+      .slice(0, limit)
+      .map((entry, index) => ({
+        rank: index + 1,
+        profileId: entry.profileId,
+        name: entry.name,
+        rating: Math.round(entry.rating),
+        gamesPlayed: entry.gamesPlayed,
+        winRate: roundTo(entry.wins / entry.gamesPlayed, 3),
+      }));
+  }
+
+  return { recordGame, getPlayerStats, getLeaderboard };
+}
+
+module.exports = { createStatsTracker, INITIAL_RATING };
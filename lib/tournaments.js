@@ -0,0 +1,364 @@
+const { resolveRuleset } = require("./rulesets");
+const { ERROR_CODES } = require("./errorCodes");
+
+const MIN_ENTRANTS = 2;
+const MAX_ENTRANTS = 64;
+const MAX_ROUNDS = 20;
+const MAX_TARGET_POINTS = 100;
+const MAX_TURN_TIME_LIMIT = 600;
+const DEFAULT_TURN_TIME_LIMIT = 60;
+const MIN_SEATS = 2;
+const MAX_SEATS = 7;
+
+// A tournament plays either a fixed number of rounds or until someone has
+// `targetPoints` at the end of a round (capped at MAX_ROUNDS either way).
+function resolveTournamentSettings(input = {}) {
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) {
+    return { valid: false, error: "A tournament needs a name" };
+  }
+
+  const hasRounds = input.rounds !== undefined;
+  const hasTarget = input.targetPoints !== undefined;
+  if (hasRounds === hasTarget) {
+    return {
+      valid: false,
+      error: "Choose either a number of rounds or a points target",
+    };
+  }
+
+  if (
+    hasRounds &&
+    (!Number.isInteger(input.rounds) ||
+      input.rounds < 1 ||
+      input.rounds > MAX_ROUNDS)
+  ) {
+    return { valid: false, error: `Rounds must be 1-${MAX_ROUNDS}` };
+  }
+
+  if (
+    hasTarget &&
+    (!Number.isInteger(input.targetPoints) ||
+      input.targetPoints < 1 ||
+      input.targetPoints > MAX_TARGET_POINTS)
+  ) {
+    return {
+      valid: false,
+      error: `Points target must be 1-${MAX_TARGET_POINTS}`,
+    };
+  }
+
+  const seats = input.seats === undefined ? 4 : input.seats;
+  if (!Number.isInteger(seats) || seats < MIN_SEATS || seats > MAX_SEATS) {
+    return {
+      valid: false,
+      error: `Seats per table must be ${MIN_SEATS}-${MAX_SEATS}`,
+    };
+  }
+
+  const turnTimeLimit =
+    input.turnTimeLimit === undefined
+      ? DEFAULT_TURN_TIME_LIMIT
+      : input.turnTimeLimit;
+  if (
+    !Number.isInteger(turnTimeLimit) ||
+    turnTimeLimit < 0 ||
+    turnTimeLimit > MAX_TURN_TIME_LIMIT
+  ) {
+    return {
+      valid: false,
+      error: `Turn time limit must be 0-${MAX_TURN_TIME_LIMIT} seconds`,
+    };
+  }
+
+  const rulesetResult = resolveRuleset(input.ruleset);
+  if (!rulesetResult.valid) return rulesetResult;
+
+  return {
+    valid: true,
+    settings: {
+      name,
+      rounds: hasRounds ? input.rounds : null,
+      targetPoints: hasTarget ? input.targetPoints : null,
+      seats,
+      turnTimeLimit,
+      ruleset: rulesetResult.ruleset,
+    },
+  };
+}
+
+function createTournament(id, organizer, settings) {
+  const tournament = {
+    id,
+    organizerId: organizer.id,
+    settings,
+    status: "registering",
+    entrants: [],
+    rounds: [],
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+  };
+  addEntrant(tournament, organizer);
+  return tournament;
+}
+
+function addEntrant(tournament, player) {
+  if (tournament.status !== "registering") {
+    return {
+      valid: false,
+      code: ERROR_CODES.TOURNAMENT_ALREADY_STARTED,
+      error: "The tournament has already started",
+    };
+  }
+  if (tournament.entrants.some((e) => e.id === player.id)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.ALREADY_ENTERED,
+      error: "Already entered",
+    };
+  }
+  if (tournament.entrants.length >= MAX_ENTRANTS) {
+    return {
+      valid: false,
+      code: ERROR_CODES.TOURNAMENT_FULL,
+      error: "The tournament is full",
+    };
+  }
+
+  tournament.entrants.push({
+    id: player.id,
+    name: player.name,
+    profileId: player.profileId || null,
+    points: 0,
+    wins: 0,
+    worms: 0,
+    played: 0,
+    starts: 0,
+    byes: 0,
+    withdrawn: false,
+  });
+  return { valid: true };
+}
+
+// Before the start an entrant simply drops out; afterwards they keep their
+// standing but are no longer seated.
+function removeEntrant(tournament, playerId) {
+  const entrant = tournament.entrants.find((e) => e.id === playerId);
+  if (!entrant) return false;
+
+  if (tournament.status === "registering") {
+    tournament.entrants.splice(tournament.entrants.indexOf(entrant), 1);
+  } else {
+    entrant.withdrawn = true;
+  }
+  return true;
+}
+
+function activeEntrants(tournament) {
+  return tournament.entrants.filter((e) => !e.withdrawn);
+}
+
+// Circle method: the first entrant stays put and the rest rotate one place
+// per round, then seats are dealt in a snake so each round mixes the tables
+// differently. With two seats and an odd field one entrant sits out.
+function drawTables(ids, roundIndex, seats) {
+  const tableCount = Math.ceil(ids.length / seats);
+  const padded = [...ids];
+  while (padded.length < tableCount * 2) padded.push(null);
+
+  const [fixed, ...rest] = padded;
+  const shift = rest.length > 0 ? roundIndex % rest.length : 0;
+  const rotated = [
+    fixed,
+    ...rest.slice(rest.length - shift),
+    ...rest.slice(0, rest.length - shift),
+  ];
+
+  const tables = Array.from({ length: tableCount }, () => []);
+  rotated.forEach((id, index) => {
+    const row = Math.floor(index / tableCount);
+    const column = index % tableCount;
+    tables[row % 2 === 0 ? column : tableCount - 1 - column].push(id);
+  });
+
+  const seated = tables.map((table) => table.filter(Boolean));
+  return {
+    tables: seated.filter((table) => table.length >= 2),
+    byes: seated.filter((table) => table.length === 1).flat(),
+  };
+}
+
+// Whoever has started the fewest games so far opens at their table.
+function seatOrder(tournament, playerIds) {
+  const starts = (pid) => tournament.entrants.find((e) => e.id === pid).starts;
+  const first = playerIds.reduce((best, pid) =>
+    starts(pid) < starts(best) ? pid : best
+  );
+  const index = playerIds.indexOf(first);
+  return [...playerIds.slice(index), ...playerIds.slice(0, index)];
+}
+
+// Sets up the next round. A bye scores like winning a two-seat table.
+function planRound(tournament) {
+  const number = tournament.rounds.length + 1;
+  const { tables, byes } = drawTables(
+    activeEntrants(tournament).map((e) => e.id),
+    number - 1,
+    tournament.settings.seats
+  );
+
+  const round = {
+    number,
+    tables: tables.map((playerIds) => {
+      const order = seatOrder(tournament, playerIds);
+      tournament.entrants.find((e) => e.id === order[0]).starts += 1;
+      return { playerIds: order, roomId: null, gameId: null, finished: false };
+    }),
+    byes,
+  };
+
+  byes.forEach((pid) => {
+    const entrant = tournament.entrants.find((e) => e.id === pid);
+    entrant.points += 1;
+    entrant.byes += 1;
+  });
+
+  tournament.status = "running";
+  tournament.rounds.push(round);
+  return round;
+}
+
+function currentRound(tournament) {
+  return tournament.rounds[tournament.rounds.length - 1] || null;
+}
+
+function findTable(tournament, roomId) {
+  const round = currentRound(tournament);
+  return round ? round.tables.find((table) => table.roomId === roomId) : null;
+}
+
+// Each player scores one point for every table-mate ranked below them, so
+// players sharing a place share the points, and everyone in first place
+// is credited with a win.
+function recordTableResult(tournament, roomId, gameRecord) {
+  const table = findTable(tournament, roomId);
+  if (!table || table.finished) return null;
+
+  const results = gameRecord.players.filter((p) =>
+    table.playerIds.includes(p.id)
+  );
+  results.forEach((result) => {
+    const entrant = tournament.entrants.find((e) => e.id === result.id);
+    entrant.points += results.filter((p) => p.rank > result.rank).length;
+    entrant.worms += result.worms;
+    entrant.played += 1;
+    if (result.rank === 1) entrant.wins += 1;
+  });
+
+  table.gameId = gameRecord.id;
+  table.finished = true;
+  return table;
+}
+
+// A table whose room disappeared before its game ended scores nothing.
+function abandonTable(tournament, roomId) {
+  const table = findTable(tournament, roomId);
+  if (!table || table.finished) return null;
+
+  table.finished = true;
+  table.abandoned = true;
+  return table;
+}
+
+function isRoundComplete(tournament) {
+  const round = currentRound(tournament);
+  return Boolean(round) && round.tables.every((table) => table.finished);
+}
+
+// Ranked by points, then wins, then total worms; entrants level on all
+// three share a place.
+function getStandings(tournament) {
+  const sorted = [...tournament.entrants].sort(
+    (a, b) => b.points - a.points || b.wins - a.wins || b.worms - a.worms
+  );
+
+  return sorted.map((entrant) => {
+    const firstLevel = sorted.findIndex(
+      (other) =>
+        other.points === entrant.points &&
+        other.wins === entrant.wins &&
+        other.worms === entrant.worms
+    );
+    return { place: firstLevel + 1, ...entrant };
+  });
+}
+
+function isTournamentOver(tournament) {
+  const { rounds, targetPoints } = tournament.settings;
+  const played = tournament.rounds.length;
+
+  return (
+    activeEntrants(tournament).length < MIN_ENTRANTS ||
+    played >= MAX_ROUNDS ||
+    (rounds !== null && played >= rounds) ||
+    (targetPoints !== null &&
+      tournament.entrants.some((e) => e.points >= targetPoints))
+  );
+}
+
+function finishTournament(tournament) {
+  tournament.status = "finished";
+  tournament.finishedAt = new Date().toISOString();
+}
+
+function getTournamentSummary(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.settings.name,
+    organizerId: tournament.organizerId,
+    status: tournament.status,
+    rounds: tournament.settings.rounds,
+    targetPoints: tournament.settings.targetPoints,
+    seats: tournament.settings.seats,
+    turnTimeLimit: tournament.settings.turnTimeLimit,
+    ruleset: tournament.settings.ruleset,
+    round: tournament.rounds.length,
+    entrants: tournament.entrants.map(({ id, name, withdrawn }) => ({
+      id,
+      name,
+      withdrawn,
+    })),
+  };
+}
+
+// What the history API serves, for running and finished tournaments alike.
+function getTournamentResults(tournament) {
+  return {
+    id: tournament.id,
+    name: tournament.settings.name,
+    status: tournament.status,
+    date: tournament.finishedAt || tournament.createdAt,
+    settings: tournament.settings,
+    players: getStandings(tournament),
+    rounds: tournament.rounds,
+  };
+}
+
+module.exports = {
+  MIN_ENTRANTS,
+  resolveTournamentSettings,
+  createTournament,
+  addEntrant,
+  removeEntrant,
+  planRound,
+  currentRound,
+  findTable,
+  recordTableResult,
+  abandonTable,
+  isRoundComplete,
+  getStandings,
+  isTournamentOver,
+  finishTournament,
+  getTournamentSummary,
+  getTournamentResults,
+};
@@ -0,0 +1,240 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+
+const WEBHOOK_EVENTS = [
+  "room_created",
+  "game_started",
+  "tile_stolen",
+  "turn_bust",
+  "game_over",
+];
+const MIN_SECRET_LENGTH = 16;
+
+function sign(secret, body) {
+  return crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+// Subscriptions live in one small JSON file, like the profiles. Secrets are
+// only handed out when a subscription is created.
+function createWebhookStore(filePath) {
+  const subscriptions = new Map();
+
+  if (fs.existsSync(filePath)) {
+    JSON.parse(fs.readFileSync(filePath, "utf8")).forEach((subscription) => {
+      subscriptions.set(subscription.id, subscription);
+    });
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  function save() {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify([...subscriptions.values()], null, 2)
+    );
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function add({ url, events = WEBHOOK_EVENTS, secret } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { valid: false, error: "A valid http(s) URL is required" };
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return { valid: false, error: "A valid http(s) URL is required" };
+    }
+
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((event) => WEBHOOK_EVENTS.includes(event))
+    ) {
+      return {
+        valid: false,
+        error: `Events must be a list drawn from ${WEBHOOK_EVENTS.join(", ")}`,
+      };
+    }
+
+    if (
+      secret !== undefined &&
+      (typeof secret !== "string" || secret.length < MIN_SECRET_LENGTH)
+    ) {
+      return {
+        valid: false,
+        error: `A secret must be at least ${MIN_SECRET_LENGTH} characters`,
+      };
+    }
+
+    const subscription = {
+      id: uuidv4(),
+      url: parsed.toString(),
+      events: [...new Set(events)],
+      secret: secret || crypto.randomBytes(24).toString("hex"),
+      createdAt: new Date().toISOString(),
+    };
+    subscriptions.set(subscription.id, subscription);
+    save();
+    return { valid: true, subscription };
+  }
+
+  function remove(id) {
+    if (!subscriptions.delete(id)) return false;
+    save();
+    return true;
+  }
+
+  function list() {
+    return [...subscriptions.values()].map(({ secret, ...rest }) => rest);
+  }
+
+  function forEvent(event) {
+    return [...subscriptions.values()].filter((s) => s.events.includes(event));
+  }
+
+  return { add, remove, list, forEvent };
+}
+
+// Deliveries wait in a bounded in-memory queue and are sent in the
+// background, so publishing never waits on a receiver. Failed deliveries
+// are retried with exponential backoff; when the queue is full new ones are
+// dropped and logged.
+function createWebhookDispatcher({
+  store,
+  logger,
+  metrics,
+  maxQueue = 1000,
+  maxAttempts = 5,
+  retryBaseMs = 1000,
+  timeoutMs = 5000,
+  concurrency = 4,
+}) {
+  const queue = [];
+  let active = 0;
+  let retryTimer = null;
+
+  const deliveries = metrics.counter(
+    "worms_webhook_deliveries_total",
+    "Webhook delivery attempts, by outcome"
+  );
+  metrics.gauge(
+    "worms_webhook_queue",
+    "Webhook deliveries waiting to be sent",
+    () => queue.length
+  );
+
+  function publish(event, data) {
+    const body = JSON.stringify({
+      id: uuidv4(),
+      event,
+      createdAt: new Date().toISOString(),
+      data,
+    });
+
+    store.forEvent(event).forEach((subscription) => {
+      if (queue.length >= maxQueue) {
+        deliveries.inc({ outcome: "dropped" });
+        logger.warn("Webhook queue full, dropping delivery", {
+          event,
+          subscriptionId: subscription.id,
+        });
+        return;
+      }
+
+      queue.push({ subscription, event, body, attempts: 0, dueAt: 0 });
+    });
+
+    setImmediate(pump);
+  }
+
+  function pump() {
+    const now = Date.now();
+
+    while (active < concurrency) {
+      const index = queue.findIndex((delivery) => delivery.dueAt <= now);
+      if (index === -1) break;
+
+      const [delivery] = queue.splice(index, 1);
+      active += 1;
+      send(delivery).finally(() => {
+        active -= 1;
+        pump();
+      });
+    }
+
+    scheduleRetry();
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    const waiting = queue.filter((delivery) => delivery.dueAt > Date.now());
+    if (waiting.length === 0) return;
+
+    const dueAt = Math.min(...waiting.map((delivery) => delivery.dueAt));
+    retryTimer = setTimeout(pump, dueAt - Date.now());
+    retryTimer.unref();
+  }
+
+  // 5xx, 408, 429 and network errors are worth another go; any other
+  // answer from the receiver is final.
+  async function send(delivery) {
+    const { subscription, event, body } = delivery;
+    delivery.attempts += 1;
+
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "regenwormen-webhooks",
+          "X-Worms-Event": event,
+          "X-Worms-Signature": `sha256=${sign(subscription.secret, body)}`,
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      status = response.status;
+      if (response.ok) {
+        deliveries.inc({ outcome: "delivered" });
+        return;
+      }
+    } catch (err) {
+      error = err;
+    }
+
+    const retryable =
+      status === null || status >= 500 || status === 408 || status === 429;
+    if (retryable && delivery.attempts < maxAttempts) {
+      deliveries.inc({ outcome: "retried" });
+      delivery.dueAt = Date.now() + retryBaseMs * 2 ** (delivery.attempts - 1);
+      queue.push(delivery);
+      return;
+    }
+
+    deliveries.inc({ outcome: "failed" });
+    logger.warn("Webhook delivery failed", {
+      event,
+      subscriptionId: subscription.id,
+      attempts: delivery.attempts,
+      status,
+      error: error ? error.message : undefined,
+    });
+  }
+
+  return { publish };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  sign,
+  createWebhookStore,
+  createWebhookDispatcher,
+};
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// Plays bot games offline and reports how each strategy did.
+const fs = require("fs");
+const path = require("path");
+const { STRATEGIES } = require("../lib/bots");
+const { resolveRuleset } = require("../lib/rulesets");
+const { createSeed } = require("../lib/rng");
+const { runSimulation } = require("../lib/simulator");
+
+const BUILT_IN = Object.keys(STRATEGIES).join(", ");
+
+const USAGE = `Usage: node scripts/simulate.js [options]
+  --strategies <list>  comma-separated seats: ${BUILT_IN}
+                       or a path to a module exporting chooseFace and
+                       chooseClaim (default: greedy,expected)
+  --games <n>          games to play (default 1000)
+  --seed <n>           base seed for the dice and bots (default: random,
+                       reported)
+  --rules <preset>     rules preset, or a JSON ruleset config
+  --format <format>    table, json or csv (default table)
+  --out <file>         write the report to a file instead of stdout`;
+
+const MAX_SEATS = 7;
+
+function fail(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+    if (arg === "--help" || arg === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    }
+    if (!arg.startsWith("--") || argv[index + 1] === undefined) {
+      fail(`Unexpected argument "${arg}"`);
+    }
+    options[arg.slice(2)] = argv[++index];
+  }
+  return options;
+}
+
+function loadStrategy(spec) {
+  if (Object.hasOwn(STRATEGIES, spec)) {
+    return { name: spec, strategy: STRATEGIES[spec] };
+  }
+
+  let strategy;
+  try {
+    strategy = require(path.resolve(spec));
+  } catch (error) {
+    fail(`Could not load strategy "${spec}": ${error.message}`);
+  }
+  if (
+    typeof strategy.chooseFace !== "function" ||
+    typeof strategy.chooseClaim !== "function"
+  ) {
+    fail(`Strategy "${spec}" must export chooseFace and chooseClaim`);
+  }
+  return { name: path.basename(spec, ".js"), strategy };
+}
+
+// The same strategy can take several seats; they're numbered apart.
+function labelSeats(seats) {
+  const counts = {};
+  seats.forEach(({ name }) => {
+    counts[name] = (counts[name] || 0) + 1;
+  });
+
+  const seen = {};
+  return seats.map((seat) => {
+    if (counts[seat.name] === 1) return seat;
+    seen[seat.name] = (seen[seat.name] || 0) + 1;
+    return { ...seat, name: `${seat.name}#${seen[seat.name]}` };
+  });
+}
+
+function parseRules(input) {
+  if (input === undefined) return resolveRuleset();
+  if (!input.trim().startsWith("{")) return resolveRuleset(input);
+  try {
+    return resolveRuleset(JSON.parse(input));
+  } catch (error) {
+    return { valid: false, error: `Invalid rules JSON: ${error.message}` };
+  }
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function tileNumbers(report) {
+  const numbers = new Set();
+  report.strategies.forEach((s) =>
+    Object.keys(s.tiles).forEach((number) => numbers.add(Number(number)))
+  );
+  return [...numbers].sort((a, b) => a - b);
+}
+
+function formatTable(report) {
+  const lines = [
+    `${report.games} games, rules ${report.ruleset}, seed ${report.seed}` +
+      `, ${report.averageTurnsPerGame.toFixed(1)} turns per game`,
+  ];
+  if (report.unfinished > 0) {
+    lines.push(
+      `${report.unfinished} games hit the step limit and were dropped`
+    );
+  }
+
+  const width = Math.max(8, ...report.strategies.map((s) => s.name.length));
+  lines.push(
+    "",
+    "strategy".padEnd(width) +
+      "  win rate  avg worms  rolls/turn  bust rate  steals"
+  );
+  report.strategies.forEach((s) => {
+    lines.push(
+      `${s.name.padEnd(width)}  ${percent(s.winRate).padStart(8)}` +
+        `  ${s.averageWorms.toFixed(2).padStart(9)}` +
+        `  ${s.averageRollsPerTurn.toFixed(2).padStart(10)}` +
+        `  ${percent(s.bustRate).padStart(9)}  ${String(s.steals).padStart(6)}`
+    );
+  });
+
+  const columns = report.strategies.map((s) => Math.max(7, s.name.length));
+  lines.push(
+    "",
+    "Tiles taken, as a share of each strategy's claims:",
+    `tile  ${report.strategies
+      .map((s, i) => s.name.padStart(columns[i]))
+      .join("  ")}`
+  );
+  tileNumbers(report).forEach((number) => {
+    const cells = report.strategies.map((s, i) => {
+      const claims = Object.values(s.tiles).reduce((a, b) => a + b, 0);
+      const share = claims ? (s.tiles[number] || 0) / claims : 0;
+      return percent(share).padStart(columns[i]);
+    });
+    lines.push(`${String(number).padStart(4)}  ${cells.join("  ")}`);
+  });
+
+  return lines.join("\n");
+}
+
+// One row per seat; tile counts get a column each.
+function formatCsv(report) {
+  const numbers = tileNumbers(report);
+  const header = [
+    "strategy",
+    "games",
+    "wins",
+    "winRate",
+    "averageWorms",
+    "turns",
+    "averageRollsPerTurn",
+    "bustRate",
+    "steals",
+    "invalidMoves",
+    ...numbers.map((number) => `tile${number}`),
+  ];
+  const rows = report.strategies.map((s) => [
+    `"${s.name.replace(/"/g, '""')}"`,
+    s.games,
+    s.wins,
+    s.winRate,
+    s.averageWorms,
+    s.turns,
+    s.averageRollsPerTurn,
+    s.bustRate,
+    s.steals,
+    s.invalidMoves,
+    ...numbers.map((number) => s.tiles[number] || 0),
+  ]);
+  return [header, ...rows].map((row) => row.join(",")).join("\n");
+}
+
+const FORMATS = {
+  table: formatTable,
+  json: (report) => JSON.stringify(report, null, 2),
+  csv: formatCsv,
+};
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const specs = (options.strategies || "greedy,expected")
+    .split(",")
+    .map((spec) => spec.trim())
+    .filter(Boolean);
+  if (specs.length < 2 || specs.length > MAX_SEATS) {
+    fail(`Give 2-${MAX_SEATS} strategies, one per seat`);
+  }
+
+  const games = options.games === undefined ? 1000 : Number(options.games);
+  if (!Number.isInteger(games) || games < 1) {
+    fail("--games must be a positive whole number");
+  }
+
+  const seed = options.seed === undefined ? createSeed() : Number(options.seed);
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+    fail("--seed must be a whole number from 0 to 4294967295");
+  }
+
+  const rulesResult = parseRules(options.rules);
+  if (!rulesResult.valid) fail(rulesResult.error);
+
+  const format = FORMATS[options.format || "table"];
+  if (!format) fail(`Unknown format "${options.format}"`);
+
+  const report = runSimulation({
+    strategies: labelSeats(specs.map(loadStrategy)),
+    games,
+    seed,
+    ruleset: rulesResult.ruleset,
+  });
+  const output = `${format(report)}\n`;
+
+  if (options.out) {
+    fs.writeFileSync(options.out, output);
+    console.error(`Wrote ${report.games} games to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
@@ -1,722 +1,3240 @@
 const express = require("express");
 const http = require("http");
+const path = require("path");
 const WebSocket = require("ws");
+const crypto = require("crypto");
 const { v4: uuidv4 } = require("uuid");
+const rules = require("./lib/rules");
+const { createHistoryStore } = require("./lib/historyStore");
+const { createHistoryRouter } = require("./lib/historyRoutes");
+const bots = require("./lib/bots");
+const { replayGame } = require("./lib/replay");
+const { createOddsWorker } = require("./lib/odds");
+const stateSync = require("./lib/stateSync");
+const tournamentRules = require("./lib/tournaments");
+const matchmaking = require("./lib/matchmaking");
+const { createReplayRouter } = require("./lib/replayRoutes");
+const { createProfileStore } = require("./lib/profileStore");
+const { createStatsTracker } = require("./lib/stats");
+const { createLeaderboardRouter } = require("./lib/leaderboardRoutes");
+const {
+  generateInviteCode,
+  normalizeInviteCode,
+  hashPassword,
+  verifyPassword,
+} = require("./lib/roomAccess");
+const { resolveRuleset } = require("./lib/rulesets");
+const protocol = require("./lib/protocol");
+const { ERROR_CODES } = require("./lib/errorCodes");
+const { createSnapshotStore } = require("./lib/snapshotStore");
+const { createLogger } = require("./lib/logger");
+const { createMetrics } = require("./lib/metrics");
+const {
+  createWebhookStore,
+  createWebhookDispatcher,
+} = require("./lib/webhooks");
+const { createNotifier } = require("./lib/notifier");
+const {
+  createAdminRouter,
+  createMonitoringRouter,
+} = require("./lib/adminRoutes");
+const {
+  createRateLimiter,
+  createWordFilter,
+  appendToScrollback,
+} = require("./lib/chat");
+
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS) || 60000;
+const HEARTBEAT_INTERVAL_MS =
+  Number(process.env.HEARTBEAT_INTERVAL_MS) || 30000;
+const BOT_DELAY_MS = Number(process.env.BOT_DELAY_MS) || 900;
+const TURN_TIMER_TICK_MS = Number(process.env.TURN_TIMER_TICK_MS) || 5000;
+const MAX_TURN_TIME_LIMIT = 600;
+const MAX_TURN_DEADLINE_HOURS = 168;
+const DEFAULT_TURN_DEADLINE_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 7;
+const CHAT_MAX_LENGTH = Number(process.env.CHAT_MAX_LENGTH) || 200;
+const CHAT_SCROLLBACK = Number(process.env.CHAT_SCROLLBACK) || 50;
+const CHAT_RATE_LIMIT = Number(process.env.CHAT_RATE_LIMIT) || 5;
+const CHAT_RATE_WINDOW_MS = Number(process.env.CHAT_RATE_WINDOW_MS) || 10000;
+const MESSAGE_RATE_LIMIT = Number(process.env.MESSAGE_RATE_LIMIT) || 20;
+const MESSAGE_RATE_WINDOW_MS =
+  Number(process.env.MESSAGE_RATE_WINDOW_MS) || 1000;
+const MAX_MESSAGE_BYTES = Number(process.env.MAX_MESSAGE_BYTES) || 16 * 1024;
+const PASSWORD_ATTEMPT_LIMIT = Number(process.env.PASSWORD_ATTEMPT_LIMIT) || 5;
+const ROOM_PASSWORD_ATTEMPT_LIMIT =
+  Number(process.env.ROOM_PASSWORD_ATTEMPT_LIMIT) || 20;
+const PASSWORD_ATTEMPT_WINDOW_MS =
+  Number(process.env.PASSWORD_ATTEMPT_WINDOW_MS) || 60000;
+const CHECK_OUTGOING_MESSAGES = process.env.NODE_ENV !== "production";
+const CHAT_FILTER_WORDS = (process.env.CHAT_FILTER_WORDS || "").split(",");
+const HISTORY_FILE =
+  process.env.HISTORY_FILE || path.join(__dirname, "data", "history.jsonl");
+const TOURNAMENTS_FILE =
+  process.env.TOURNAMENTS_FILE ||
+  path.join(__dirname, "data", "tournaments.jsonl");
+const TOURNAMENT_ROUND_DELAY_MS =
+  Number(process.env.TOURNAMENT_ROUND_DELAY_MS) || 15000;
+const QUEUE_WAIT_MS = Number(process.env.QUEUE_WAIT_MS) || 30000;
+const PROFILES_FILE =
+  process.env.PROFILES_FILE || path.join(__dirname, "data", "profiles.json");
+const SNAPSHOT_FILE =
+  process.env.SNAPSHOT_FILE || path.join(__dirname, "data", "snapshot.json");
+const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MS) || 30000;
+const SNAPSHOT_DEBOUNCE_MS = Number(process.env.SNAPSHOT_DEBOUNCE_MS) || 250;
+const RESTORE_GRACE_MS = Number(process.env.RESTORE_GRACE_MS) || 300000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const WEBHOOKS_FILE =
+  process.env.WEBHOOKS_FILE || path.join(__dirname, "data", "webhooks.json");
+const WEBHOOK_QUEUE_SIZE = Number(process.env.WEBHOOK_QUEUE_SIZE) || 1000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const NOTIFIER = process.env.NOTIFIER || "log";
+const NOTIFICATIONS_FILE =
+  process.env.NOTIFICATIONS_FILE ||
+  path.join(__dirname, "data", "notifications.jsonl");
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, maxPayload: MAX_MESSAGE_BYTES });
+
+const logger = createLogger();
+const historyStore = createHistoryStore(HISTORY_FILE, { logger });
+const tournamentStore = createHistoryStore(TOURNAMENTS_FILE, { logger });
+const profileStore = createProfileStore(PROFILES_FILE);
+const statsTracker = createStatsTracker();
+const snapshotStore = createSnapshotStore(SNAPSHOT_FILE, { logger });
+const metrics = createMetrics();
+const oddsWorker = createOddsWorker();
+const webhookStore = createWebhookStore(WEBHOOKS_FILE);
+const webhooks = createWebhookDispatcher({
+  store: webhookStore,
+  logger,
+  metrics,
+  maxQueue: WEBHOOK_QUEUE_SIZE,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+});
+const notifier = createNotifier({
+  type: NOTIFIER,
+  logger,
+  filePath: NOTIFICATIONS_FILE,
+});
+historyStore.all().forEach((record) => statsTracker.recordGame(record));
 
 app.use(express.static("public"));
+app.use(
+  "/api",
+  createHistoryRouter(historyStore, { tournamentStore, findTournament })
+);
+app.use("/api", createReplayRouter(findGame));
+app.use("/api", createLeaderboardRouter(statsTracker));
+app.use(
+  "/api",
+  createAdminRouter({
+    listRooms: () => [...rooms.values()].map(getRoomOverview),
+    getRoomState,
+    closeRoom,
+    sendNotice,
+    webhooks: webhookStore,
+    adminToken: ADMIN_TOKEN,
+    logger,
+  })
+);
+app.use(createMonitoringRouter({ metrics }));
 
 const players = new Map();
+const sessions = new Map();
 const rooms = new Map();
-const gameHistory = [];
-
-const TILES = [
-  { number: 21, worms: 1 },
-  { number: 22, worms: 1 },
-  { number: 23, worms: 1 },
-  { number: 24, worms: 1 },
-  { number: 25, worms: 2 },
-  { number: 26, worms: 2 },
-  { number: 27, worms: 2 },
-  { number: 28, worms: 2 },
-  { number: 29, worms: 3 },
-  { number: 30, worms: 3 },
-  { number: 31, worms: 3 },
-  { number: 32, worms: 3 },
-  { number: 33, worms: 4 },
-  { number: 34, worms: 4 },
-  { number: 35, worms: 4 },
-  { number: 36, worms: 4 },
-];
-
-const DICE_FACES = ["1", "2", "3", "4", "5", "worm"];
+const roomPasswordLimiters = new Map();
+const tournaments = new Map();
+const roundTimers = new Map();
+const matchQueue = matchmaking.createQueue();
+let queueTimer = null;
+const lobbyChat = [];
+const filterChat = createWordFilter(CHAT_FILTER_WORDS);
+
+const turnCounts = { claim: 0, bust: 0 };
+const turnsEnded = metrics.counter(
+  "worms_turns_total",
+  "Turns ended, by outcome (claim or bust)"
+);
+const gamesFinished = metrics.counter(
+  "worms_games_finished_total",
+  "Games played to the end"
+);
+const messageDuration = metrics.histogram(
+  "worms_message_duration_seconds",
+  "Time spent handling one client message, by message type"
+);
+metrics.gauge(
+  "worms_connected_sockets",
+  "Open WebSocket connections",
+  () => wss.clients.size
+);
+metrics.gauge("worms_rooms", "Rooms by status", () =>
+  ["waiting", "playing", "finished"].map((status) => ({
+    labels: { status },
+    value: [...rooms.values()].filter((room) => room.status === status).length,
+  }))
+);
+metrics.gauge(
+  "worms_queued_players",
+  "Players waiting in the quick-play queue",
+  () => matchQueue.entries.length
+);
+metrics.gauge(
+  "worms_bust_ratio",
+  "Share of ended turns that were busts",
+  () => turnCounts.bust / (turnCounts.claim + turnCounts.bust || 1)
+);
+
+function recordTurn(outcome) {
+  turnCounts[outcome] += 1;
+  turnsEnded.inc({ outcome });
+}
 
+// Anything sent to a socket while it's handling a request is a reply to
+// that request and carries its requestId.
 function broadcast(ws, data) {
+  const message =
+    ws.pendingRequestId === undefined
+      ? data
+      : { ...data, requestId: ws.pendingRequestId };
+
+  if (CHECK_OUTGOING_MESSAGES) {
+    const check = protocol.validateServerMessage(message);
+    if (!check.valid) {
+      logger.warn("Outgoing message breaks the protocol", {
+        type: message.type,
+        error: check.error,
+      });
+    }
+  }
+
   if (ws.readyState === WebSocket.OPEN) {
-    ws.send(JSON.stringify(data));
+    ws.send(JSON.stringify(message));
   }
 }
 
+function sendError(ws, code, message) {
+  broadcast(ws, { type: "error", code, message });
+}
+
+// Correspondence players can sit in several games at once, so those rooms
+// only talk to connections that have the game open.
+function isListening(room, player) {
+  return (
+    Boolean(player && player.ws) &&
+    (room.mode !== "correspondence" || player.ws.openRoomId === room.id)
+  );
+}
+
 function broadcastToRoom(roomId, data) {
   const room = rooms.get(roomId);
   if (!room) return;
 
-  room.players.forEach((playerId) => {
+  [...room.players, ...room.spectators].forEach((playerId) => {
     const player = players.get(playerId);
-    if (player && player.ws) {
+    if (isListening(room, player)) {
       broadcast(player.ws, data);
     }
   });
 }
 
+// Game changes carry the room's next state version and what changed since
+// the last one. Clients still on protocol 1 get the whole state as well.
+function broadcastGameUpdate(room, data) {
+  const message = { ...data, ...stateSync.commitUpdate(room.sync, room.game) };
+  let withState = null;
+
+  [...room.players, ...room.spectators].forEach((playerId) => {
+    const player = players.get(playerId);
+    if (!isListening(room, player)) return;
+
+    if (player.ws.protocolVersion < 2) {
+      withState = withState || {
+        ...message,
+        gameState: getGameStateForRoom(room),
+      };
+      broadcast(player.ws, withState);
+    } else {
+      broadcast(player.ws, message);
+    }
+  });
+}
+
+function getRoomSummary(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    host: room.host,
+    players: room.players.map((pid) => ({
+      id: pid,
+      name: players.get(pid)?.name || "Unknown",
+      connected: Boolean(players.get(pid)?.ws || players.get(pid)?.isBot),
+      isBot: Boolean(players.get(pid)?.isBot),
+    })),
+    status: room.status,
+    spectatorCount: room.spectators.length,
+    muted: room.muted,
+    isPrivate: room.isPrivate,
+    inviteCode: room.inviteCode,
+    hasPassword: Boolean(room.passwordHash),
+    maxPlayers: room.maxPlayers,
+    turnTimeLimit: room.turnTimeLimit,
+    awayAfterTimeouts: room.awayAfterTimeouts,
+    mode: room.mode,
+    turnDeadlineHours: room.turnDeadlineHours,
+    turnDeadline: room.turnDeadline
+      ? new Date(room.turnDeadline.deadline).toISOString()
+      : null,
+    ruleset: room.ruleset,
+    leaverTiles: room.leaverTiles,
+    oddsHints: Boolean(room.oddsHints),
+    tournamentId: room.tournamentId || null,
+    suspended: Boolean(room.suspended),
+  };
+}
+
+// What webhook receivers get to know about a room; no invite codes.
+function getWebhookRoom(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    isPrivate: room.isPrivate,
+    maxPlayers: room.maxPlayers,
+    ruleset: room.ruleset.name,
+    tournamentId: room.tournamentId || null,
+  };
+}
+
+function playerRef(room, playerId) {
+  return { id: playerId, name: playerNameInRoom(room, playerId) };
+}
+
+// The live room a player sits in. Correspondence seats don't count: a
+// player can have several, and they carry on without a connection.
+function findRoomForPlayer(playerId) {
+  for (const room of rooms.values()) {
+    if (room.mode !== "correspondence" && room.players.includes(playerId)) {
+      return room;
+    }
+  }
+  return null;
+}
+
+function findCorrespondenceRooms(playerId) {
+  return [...rooms.values()].filter(
+    (room) =>
+      room.mode === "correspondence" &&
+      room.status !== "finished" &&
+      room.players.includes(playerId)
+  );
+}
+
+function findRoomByInviteCode(code) {
+  const inviteCode = normalizeInviteCode(code);
+  for (const room of rooms.values()) {
+    if (room.inviteCode === inviteCode) return room;
+  }
+  return null;
+}
+
+// Private rooms are only reachable through their invite code; a password,
+// if set, is checked for anyone who isn't already in the room.
+function resolveRoomAccess(data) {
+  const room = data.inviteCode
+    ? findRoomByInviteCode(data.inviteCode)
+    : rooms.get(data.roomId);
+  const isMember =
+    room &&
+    (room.players.includes(data.playerId) ||
+      room.spectators.includes(data.playerId));
+
+  if (!room || (room.isPrivate && !data.inviteCode && !isMember)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.ROOM_NOT_FOUND,
+      error: "Room not found",
+    };
+  }
+
+  if (room.passwordHash && !isMember) {
+    if (!data.password) {
+      return {
+        valid: false,
+        code: ERROR_CODES.PASSWORD_REQUIRED,
+        error: "Password required",
+      };
+    }
+    return { valid: true, room, checkPassword: true };
+  }
+
+  return { valid: true, room };
+}
+
+function allowPasswordAttempt(ws, room) {
+  if (!roomPasswordLimiters.has(room.id)) {
+    roomPasswordLimiters.set(
+      room.id,
+      createRateLimiter({
+        limit: ROOM_PASSWORD_ATTEMPT_LIMIT,
+        windowMs: PASSWORD_ATTEMPT_WINDOW_MS,
+      })
+    );
+  }
+  return (
+    ws.passwordLimiter.allow() && roomPasswordLimiters.get(room.id).allow()
+  );
+}
+
+// Runs `proceed(room)` once the player may enter. Passwords are hashed off
+// the event loop, so that part finishes later, still as a reply to the
+// same request.
+function withRoomAccess(ws, data, proceed) {
+  const access = resolveRoomAccess(data);
+  if (!access.valid) {
+    sendError(ws, access.code, access.error);
+    return;
+  }
+  if (!access.checkPassword) {
+    proceed(access.room);
+    return;
+  }
+
+  const { room } = access;
+  if (!allowPasswordAttempt(ws, room)) {
+    logger.warn("Password attempts limited", {
+      roomId: room.id,
+      playerId: data.playerId,
+      ip: ws.remoteAddress,
+    });
+    sendError(
+      ws,
+      ERROR_CODES.RATE_LIMITED,
+      "Too many password attempts, try again later"
+    );
+    return;
+  }
+
+  const requestId = ws.pendingRequestId;
+  verifyPassword(data.password, room.passwordHash)
+    .then((correct) => {
+      ws.pendingRequestId = requestId;
+      if (rooms.get(room.id) !== room) {
+        sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+      } else if (!correct) {
+        sendError(ws, ERROR_CODES.PASSWORD_INCORRECT, "Incorrect password");
+      } else {
+        proceed(room);
+        scheduleSnapshot();
+      }
+    })
+    .catch((error) => {
+      ws.pendingRequestId = requestId;
+      logger.error("Error handling message", {
+        type: data.type,
+        playerId: data.playerId,
+        roomId: room.id,
+        error,
+      });
+      sendError(ws, ERROR_CODES.INTERNAL_ERROR, "Server error");
+    })
+    .finally(() => {
+      ws.pendingRequestId = undefined;
+    });
+}
+
+function findSpectatedRoom(playerId) {
+  for (const room of rooms.values()) {
+    if (room.spectators.includes(playerId)) return room;
+  }
+  return null;
+}
+
+function removeSpectator(room, playerId) {
+  if (!room.spectators.includes(playerId)) return false;
+
+  room.spectators = room.spectators.filter((pid) => pid !== playerId);
+  broadcastToRoom(room.id, {
+    type: "room_updated",
+    room: getRoomSummary(room),
+  });
+  return true;
+}
+
+// Finished games only: the seed of a game still running would let anyone
+// predict every remaining roll.
+function findGame(gameId) {
+  return historyStore.get(gameId);
+}
+
+// Running tournaments first, then finished ones from their history store.
+function findTournament(tournamentId) {
+  const tournament = tournaments.get(tournamentId);
+  return tournament
+    ? tournamentRules.getTournamentResults(tournament)
+    : tournamentStore.get(tournamentId);
+}
+
 function getGameStateForRoom(room) {
   return {
+    gameId: room.game.id,
+    version: room.sync.version,
     tiles: room.game.tiles,
+    faceDownTiles: room.game.faceDownTiles,
     playerStacks: room.game.playerStacks,
     currentPlayerId: room.game.currentPlayerId,
     turnState: room.game.turnState,
-    players: room.players.map((pid) => ({
+    inactivePlayers: room.game.inactivePlayers,
+    ruleset: room.game.ruleset,
+    players: room.game.startingOrder.map((pid) => ({
       id: pid,
-      name: players.get(pid)?.name || "Unknown",
+      name: playerNameInRoom(room, pid),
+      left: !room.game.playerOrder.includes(pid),
     })),
   };
 }
 
+// Players who left mid-game are no longer in `players` once their session
+// expires, but still show up in the game they left.
+function playerNameInRoom(room, playerId) {
+  return (
+    players.get(playerId)?.name || room.departed[playerId]?.name || "Unknown"
+  );
+}
+
 function initializeGame(roomId) {
   const room = rooms.get(roomId);
   if (!room) return;
 
-  const availableTiles = [...TILES];
-  const playerStacks = {};
-  room.players.forEach((pid) => {
-    playerStacks[pid] = [];
-  });
+  const start = room.startIndex % room.players.length;
+  const order = [...room.players.slice(start), ...room.players.slice(0, start)];
 
+  room.departed = {};
   room.game = {
-    tiles: availableTiles,
-    playerStacks,
-    currentPlayerIndex: 0,
-    currentPlayerId: room.players[0],
-    turnState: {
-      availableDice: 8,
-      selectedFaces: [],
-      currentScore: 0,
-      hasWorm: false,
-      rolledDice: [],
+    id: uuidv4(),
+    ...rules.createGame(order, { ruleset: room.ruleset }),
+  };
+  stateSync.resetSync(room.sync, room.game);
+  room.status = "playing";
+}
+
+function handleBust(room, playerId) {
+  const bustResult = rules.bust(room.game, playerId);
+  if (!bustResult.valid) return bustResult;
+  recordTurn("bust");
+
+  broadcastGameUpdate(room, {
+    type: "turn_bust",
+    playerName: players.get(playerId)?.name || "Unknown",
+    returnedTile: bustResult.returnedTile,
+    flippedTile: bustResult.flippedTile,
+    gameOver: bustResult.gameOver,
+  });
+
+  const bustParts = [`${players.get(playerId)?.name || "Unknown"} busted`];
+  if (bustResult.returnedTile) {
+    bustParts.push(`returning tile ${bustResult.returnedTile.number}`);
+  }
+  if (bustResult.flippedTile) {
+    bustParts.push(`tile ${bustResult.flippedTile.number} was turned over`);
+  }
+  postSystemMessage(room, bustParts.join(", "));
+  webhooks.publish("turn_bust", {
+    room: getWebhookRoom(room),
+    gameId: room.game.id,
+    player: playerRef(room, playerId),
+    returnedTile: bustResult.returnedTile,
+    flippedTile: bustResult.flippedTile,
+  });
+
+  if (bustResult.gameOver) {
+    finishGame(room);
+  }
+  return bustResult;
+}
+
+// Safe to call more than once: only the first call records the game.
+function finishGame(room) {
+  if (room.status !== "playing") return;
+  const { game } = room;
+  const standings = rules.calculateStandings(game).map((entry) => ({
+    id: entry.playerId,
+    profileId:
+      players.get(entry.playerId)?.profileId ||
+      room.departed[entry.playerId]?.profileId ||
+      null,
+    name: playerNameInRoom(room, entry.playerId),
+    rank: entry.rank,
+    shared: entry.shared,
+    worms: entry.worms,
+    highestTile: entry.highestTile,
+    tiles: entry.tiles,
+    steals: entry.steals,
+    tilesLostToBusts: entry.tilesLostToBusts,
+    left: !game.playerOrder.includes(entry.playerId),
+  }));
+  // Everyone sharing first place; `winner` is only set when there's one.
+  const winners = standings
+    .filter((entry) => entry.rank === 1)
+    .map(({ id, name, worms }) => ({ id, name, worms }));
+  const gameRecord = historyStore.append({
+    id: game.id,
+    roomName: room.name,
+    date: new Date().toISOString(),
+    winner: winners.length === 1 ? winners[0] : null,
+    winners,
+    players: standings,
+    ruleset: game.ruleset,
+    tournamentId: room.tournamentId || null,
+    seed: game.seed,
+    startingOrder: game.startingOrder,
+    // A copy, so the stored record can't change with the room's game
+    log: [...game.log],
+  });
+  statsTracker.recordGame(gameRecord);
+  gamesFinished.inc();
+  logger.info("Game finished", {
+    roomId: room.id,
+    gameId: game.id,
+    winnerIds: winners.map((winner) => winner.id),
+  });
+
+  broadcastToRoom(room.id, {
+    type: "game_over",
+    gameId: gameRecord.id,
+    winner: gameRecord.winner,
+    winners: gameRecord.winners,
+    finalScores: gameRecord.players,
+  });
+  webhooks.publish("game_over", {
+    room: getWebhookRoom(room),
+    gameId: gameRecord.id,
+    winner: gameRecord.winner,
+    winners: gameRecord.winners,
+    players: gameRecord.players,
+  });
+
+  room.status = "finished";
+  clearTurnTimer(room);
+  room.turnDeadline = null;
+  broadcastRoomsList();
+
+  // Correspondence players kept their session while away; now that the
+  // game is over, those still away expire like anyone else.
+  if (room.mode === "correspondence") {
+    room.players.forEach((pid) => {
+      const player = players.get(pid);
+      if (player && !player.isBot && !player.ws) {
+        clearTimeout(player.graceTimer);
+        player.graceTimer = setTimeout(
+          () => removePlayer(pid),
+          RECONNECT_GRACE_MS
+        );
+      }
+    });
+  }
+
+  const tournament = tournaments.get(room.tournamentId);
+  if (
+    tournament &&
+    tournamentRules.recordTableResult(tournament, room.id, gameRecord)
+  ) {
+    advanceTournament(tournament);
+  }
+}
+
+// The perform* functions are shared by socket handlers and bots so both go
+// through the same rules and broadcasts.
+function checkSeated(room, playerId) {
+  if (room.spectators.includes(playerId) || !room.players.includes(playerId)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.SPECTATOR_CANNOT_PLAY,
+      error: "Spectators cannot play",
+    };
+  }
+  if (room.status !== "playing") {
+    return {
+      valid: false,
+      code: ERROR_CODES.GAME_OVER,
+      error: "The game is over",
+    };
+  }
+  if (room.suspended) {
+    return {
+      valid: false,
+      code: ERROR_CODES.GAME_SUSPENDED,
+      error: "Waiting for players to reconnect",
+    };
+  }
+  return { valid: true };
+}
+
+function performRoll(room, playerId) {
+  const seated = checkSeated(room, playerId);
+  if (!seated.valid) return seated;
+
+  const rollResult = rules.rollDice(room.game, playerId);
+
+  if (!rollResult.valid) {
+    return rollResult;
+  }
+
+  if (rollResult.bust) {
+    // BUST - every face rolled was already set aside
+    broadcastGameUpdate(room, {
+      type: "dice_rolled",
+      playerId,
+      diceResults: rollResult.diceResults,
+      availableFaces: [],
       faceCounts: {},
-    },
+    });
+    handleBust(room, playerId);
+  } else {
+    // Valid roll - show dice and available faces
+    broadcastGameUpdate(room, {
+      type: "dice_rolled",
+      playerId,
+      diceResults: rollResult.diceResults,
+      availableFaces: rollResult.availableFaces,
+      faceCounts: rollResult.faceCounts,
+    });
+  }
+
+  onGameUpdated(room);
+  return rollResult;
+}
+
+function performSelectFace(room, playerId, face) {
+  const seated = checkSeated(room, playerId);
+  if (!seated.valid) return seated;
+
+  const selectResult = rules.selectFace(room.game, playerId, face);
+
+  if (!selectResult.valid) {
+    return selectResult;
+  }
+
+  broadcastGameUpdate(room, {
+    type: "face_selected",
+    playerId,
+    face,
+    count: selectResult.count,
+    value: selectResult.value,
+  });
+
+  if (selectResult.bust) {
+    handleBust(room, playerId);
+  }
+
+  onGameUpdated(room);
+  return selectResult;
+}
+
+function performClaimTile(room, playerId, tileNumber) {
+  const seated = checkSeated(room, playerId);
+  if (!seated.valid) return seated;
+
+  const claimResult = rules.claimTile(room.game, playerId, tileNumber);
+
+  if (!claimResult.valid) {
+    return claimResult;
+  }
+  recordTurn("claim");
+
+  broadcastGameUpdate(room, {
+    type: "turn_ended",
+    playerName: players.get(playerId)?.name || "Unknown",
+    tile: claimResult.tile,
+    stolenFrom: claimResult.stolenFrom,
+    gameOver: claimResult.gameOver,
+  });
+
+  if (claimResult.stolenFrom) {
+    webhooks.publish("tile_stolen", {
+      room: getWebhookRoom(room),
+      gameId: room.game.id,
+      player: playerRef(room, playerId),
+      from: playerRef(room, claimResult.stolenFrom),
+      tile: claimResult.tile,
+    });
+    postSystemMessage(
+      room,
+      `${players.get(playerId)?.name || "Unknown"} stole tile ${
+        claimResult.tile.number
+      } from ${playerNameInRoom(room, claimResult.stolenFrom)}`
+    );
+  }
+
+  if (claimResult.gameOver) {
+    finishGame(room);
+  }
+
+  onGameUpdated(room);
+  return claimResult;
+}
+
+// Odds only change when the game does, so they're cached per game against
+// the length of its event log. The cache holds the worker's promise, so
+// repeated asks while it's solving share one answer.
+const oddsCache = new WeakMap();
+
+function getTurnOddsFor(room, playerId) {
+  if (!room.oddsHints) {
+    return {
+      valid: false,
+      code: ERROR_CODES.ODDS_DISABLED,
+      error: "Turn odds are off in this room",
+    };
+  }
+
+  const seated = checkSeated(room, playerId);
+  if (!seated.valid) return seated;
+
+  const { game } = room;
+
+  if (game.currentPlayerId !== playerId) {
+    return {
+      valid: false,
+      code: ERROR_CODES.NOT_YOUR_TURN,
+      error: "Not your turn",
+    };
+  }
+
+  if (game.turnState.rolledDice.length > 0) {
+    return {
+      valid: false,
+      code: ERROR_CODES.SELECT_FACE_FIRST,
+      error: "Select a face before asking for odds",
+    };
+  }
+
+  const cached = oddsCache.get(game);
+  if (cached && cached.logLength === game.log.length) {
+    return { valid: true, odds: cached.odds };
+  }
+
+  const entry = {
+    logLength: game.log.length,
+    odds: oddsWorker.getTurnOdds(game, playerId),
   };
+  oddsCache.set(game, entry);
+  entry.odds.catch(() => {
+    if (oddsCache.get(game) === entry) oddsCache.delete(game);
+  });
+  return { valid: true, odds: entry.odds };
+}
 
-  room.status = "playing";
+function performGiveUp(room, playerId) {
+  const seated = checkSeated(room, playerId);
+  if (!seated.valid) return seated;
+
+  if (room.game.currentPlayerId !== playerId) {
+    return {
+      valid: false,
+      code: ERROR_CODES.NOT_YOUR_TURN,
+      error: "Not your turn",
+    };
+  }
+
+  // Giving up counts as a bust
+  const bustResult = handleBust(room, playerId);
+  if (!bustResult.valid) return bustResult;
+
+  onGameUpdated(room);
+  return { valid: true };
+}
+
+function onGameUpdated(room) {
+  updateTurnTimer(room);
+  scheduleBotTurn(room);
+  scheduleSnapshot();
 }
 
-function calculateDiceValue(face) {
-  return face === "worm" ? 5 : parseInt(face);
+function scheduleBotTurn(room) {
+  clearTimeout(room.botTimer);
+
+  if (room.status !== "playing" || room.suspended) return;
+
+  const bot = players.get(room.game.currentPlayerId);
+  if (!bot || !bot.isBot) return;
+
+  const delay = BOT_DELAY_MS * (0.7 + Math.random() * 0.6);
+  room.botTimer = setTimeout(() => playBotStep(room, bot), delay);
+}
+
+// One step per call: the perform* function it triggers schedules the next.
+// One stream per game, shared by its bots and started again from the seed
+// after a restore.
+const botRandoms = new WeakMap();
+
+function botRandomFor(game) {
+  if (!botRandoms.has(game)) botRandoms.set(game, bots.createBotRandom(game));
+  return botRandoms.get(game);
+}
+
+function playBotStep(room, bot) {
+  const { game } = room;
+
+  if (
+    rooms.get(room.id) !== room ||
+    room.status !== "playing" ||
+    game.currentPlayerId !== bot.id
+  ) {
+    return;
+  }
+
+  const strategy = bots.getStrategy(bot.difficulty);
+  bots.playStep(game, strategy, botRandomFor(game), {
+    selectFace: (face) => performSelectFace(room, bot.id, face),
+    claimTile: (tileNumber) => performClaimTile(room, bot.id, tileNumber),
+    roll: () => performRoll(room, bot.id),
+    giveUp: () => performGiveUp(room, bot.id),
+  });
+}
+
+// Restarts the countdown whenever a new turn begins; a no-op mid-turn.
+function updateTurnTimer(room) {
+  if (room.mode === "correspondence") {
+    updateTurnDeadline(room);
+    return;
+  }
+
+  if (!room.turnTimeLimit || room.status !== "playing" || room.suspended) {
+    clearTurnTimer(room);
+    return;
+  }
+
+  if (room.turnTimer && room.turnTimer.turnNumber === room.game.turnNumber) {
+    return;
+  }
+
+  clearTurnTimer(room);
+
+  const limitMs = room.turnTimeLimit * 1000;
+  room.turnTimer = {
+    turnNumber: room.game.turnNumber,
+    deadline: Date.now() + limitMs,
+    timeout: setTimeout(() => handleTurnTimeout(room), limitMs),
+    interval: setInterval(() => broadcastTurnTimer(room), TURN_TIMER_TICK_MS),
+  };
+  broadcastTurnTimer(room);
+}
+
+function clearTurnTimer(room) {
+  clearTimeout(room.deadlineTimer);
+  room.deadlineTimer = null;
+  if (!room.turnTimer) return;
+
+  clearTimeout(room.turnTimer.timeout);
+  clearInterval(room.turnTimer.interval);
+  room.turnTimer = null;
 }
 
-function processRoll(room, playerId) {
-  const { turnState } = room.game;
+// Correspondence turns last hours, so there's no ticking countdown. The
+// deadline is plain data and is saved with the room; after a restart the
+// timer is set again for whatever time is left.
+function updateTurnDeadline(room) {
+  if (room.status !== "playing") {
+    clearTurnTimer(room);
+    room.turnDeadline = null;
+    return;
+  }
+
+  const { game } = room;
+  if (!room.turnDeadline || room.turnDeadline.turnNumber !== game.turnNumber) {
+    clearTurnTimer(room);
+    room.turnDeadline = {
+      turnNumber: game.turnNumber,
+      deadline: Date.now() + room.turnDeadlineHours * HOUR_MS,
+    };
+    notifyTurn(room);
+  }
+
+  if (!room.deadlineTimer) {
+    room.deadlineTimer = setTimeout(
+      () => handleTurnTimeout(room),
+      Math.max(0, room.turnDeadline.deadline - Date.now())
+    );
+  }
+}
 
-  if (turnState.availableDice <= 0) {
-    return { valid: false, error: "No dice available" };
+// Tells the player whose turn it is, wherever they are: through the
+// notifier, and with a fresh inbox if they're connected.
+function notifyTurn(room) {
+  const player = players.get(room.game.currentPlayerId);
+  if (!player || player.isBot) return;
+
+  try {
+    notifier.notify({
+      type: "your_turn",
+      playerId: player.id,
+      profileId: player.profileId || null,
+      name: player.name,
+      roomId: room.id,
+      roomName: room.name,
+      gameId: room.game.id,
+      deadline: new Date(room.turnDeadline.deadline).toISOString(),
+    });
+  } catch (error) {
+    logger.error("Failed to send turn notification", {
+      roomId: room.id,
+      playerId: player.id,
+      error,
+    });
   }
 
-  const diceResults = [];
-  for (let i = 0; i < turnState.availableDice; i++) {
-    diceResults.push(DICE_FACES[Math.floor(Math.random() * DICE_FACES.length)]);
+  if (player.ws) {
+    broadcast(player.ws, getInbox(player.id));
   }
+}
 
-  const faceCounts = {};
-  diceResults.forEach((face) => {
-    faceCounts[face] = (faceCounts[face] || 0) + 1;
+// Every unfinished correspondence game the player sits in, the ones
+// waiting on them first, soonest deadline first.
+function getInbox(playerId) {
+  const games = findCorrespondenceRooms(playerId).map((room) => {
+    const playing = room.status === "playing";
+    const deadline = playing && room.turnDeadline?.deadline;
+    return {
+      roomId: room.id,
+      roomName: room.name,
+      status: room.status,
+      yourTurn: playing && room.game.currentPlayerId === playerId,
+      currentPlayerId: playing ? room.game.currentPlayerId : null,
+      currentPlayerName: playing
+        ? playerNameInRoom(room, room.game.currentPlayerId)
+        : null,
+      turnNumber: playing ? room.game.turnNumber : null,
+      deadline: deadline ? new Date(deadline).toISOString() : null,
+      remainingMs: deadline ? Math.max(0, deadline - Date.now()) : null,
+    };
   });
 
-  // Check which faces can be selected (not already selected this turn)
-  const availableFaces = Object.keys(faceCounts).filter(
-    (face) => !turnState.selectedFaces.includes(face)
+  games.sort(
+    (a, b) =>
+      b.yourTurn - a.yourTurn ||
+      (a.remainingMs ?? Infinity) - (b.remainingMs ?? Infinity)
   );
+  return { type: "inbox", games };
+}
+
+function broadcastTurnTimer(room) {
+  broadcastToRoom(room.id, {
+    type: "turn_timer",
+    playerId: room.game.currentPlayerId,
+    turnTimeLimit: room.turnTimeLimit,
+    remainingMs: Math.max(0, room.turnTimer.deadline - Date.now()),
+  });
+}
+
+// Out of time: take the best tile the score allows, otherwise bust.
+function handleTurnTimeout(room) {
+  clearTurnTimer(room);
+
+  if (rooms.get(room.id) !== room || room.status !== "playing") return;
 
-  if (availableFaces.length === 0) {
-    // BUST - no valid faces to select
-    return { valid: true, bust: true, diceResults };
+  const { game } = room;
+  const playerId = game.currentPlayerId;
+  const timeouts = (room.timeouts[playerId] || 0) + 1;
+  room.timeouts[playerId] = timeouts;
+
+  broadcastToRoom(room.id, {
+    type: "turn_timeout",
+    playerId,
+    playerName: players.get(playerId)?.name || "Unknown",
+    timeouts,
+  });
+
+  if (room.awayAfterTimeouts && timeouts >= room.awayAfterTimeouts) {
+    rules.setPlayerActive(game, playerId, false);
+    broadcastGameUpdate(room, {
+      type: "player_away",
+      playerId,
+      playerName: players.get(playerId)?.name || "Unknown",
+    });
   }
 
-  turnState.rolledDice = diceResults;
-  turnState.faceCounts = faceCounts;
+  const claim = bots.bestClaim(game, playerId);
+  if (claim) {
+    performClaimTile(room, playerId, claim.tile.number);
+  } else {
+    performGiveUp(room, playerId);
+  }
+}
 
-  return {
-    valid: true,
-    bust: false,
-    diceResults,
-    availableFaces,
-    faceCounts,
+function noteActivity(room, playerId) {
+  room.timeouts[playerId] = 0;
+}
+
+function addBot(room, difficulty) {
+  const botId = uuidv4();
+  const botNumber = room.players.filter(
+    (pid) => players.get(pid)?.isBot
+  ).length;
+
+  players.set(botId, {
+    id: botId,
+    name: `Bot ${botNumber + 1} (${difficulty})`,
+    ws: null,
+    isBot: true,
+    difficulty,
+  });
+  room.players.push(botId);
+
+  return botId;
+}
+
+// Rooms start from the lobby defaults; callers pass what differs.
+function createRoom(settings) {
+  const room = {
+    id: uuidv4(),
+    inviteCode: generateInviteCode((code) =>
+      Boolean(findRoomByInviteCode(code))
+    ),
+    name: "",
+    isPrivate: false,
+    passwordHash: null,
+    maxPlayers: MAX_PLAYERS,
+    host: null,
+    players: [],
+    spectators: [],
+    status: "waiting",
+    turnTimeLimit: 0,
+    awayAfterTimeouts: 0,
+    mode: "live",
+    turnDeadlineHours: 0,
+    turnDeadline: null,
+    ruleset: resolveRuleset().ruleset,
+    leaverTiles: "return",
+    sync: stateSync.createSync(),
+    oddsHints: false,
+    tournamentId: null,
+    startIndex: 0,
+    departed: {},
+    kicked: [],
+    timeouts: {},
+    chat: [],
+    muted: [],
+    game: null,
+    ...settings,
   };
+
+  rooms.set(room.id, room);
+  webhooks.publish("room_created", {
+    room: getWebhookRoom(room),
+    host: room.host ? playerRef(room, room.host) : null,
+  });
+  return room;
 }
 
-function selectDiceFace(room, face) {
-  const { turnState } = room.game;
+function startGame(room) {
+  initializeGame(room.id);
+  logger.info("Game started", {
+    roomId: room.id,
+    gameId: room.game.id,
+    playerIds: room.game.playerOrder,
+  });
+
+  broadcastToRoom(room.id, {
+    type: "game_started",
+    game: getGameStateForRoom(room),
+  });
+  webhooks.publish("game_started", {
+    room: getWebhookRoom(room),
+    gameId: room.game.id,
+    players: room.game.startingOrder.map((pid) => ({
+      ...playerRef(room, pid),
+      isBot: Boolean(players.get(pid)?.isBot),
+    })),
+  });
+
+  broadcastRoomsList();
+  onGameUpdated(room);
+}
 
-  if (turnState.selectedFaces.includes(face)) {
-    return { valid: false, error: "Face already selected this turn" };
-  }
+function deleteRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  clearTimeout(room.botTimer);
+  clearTurnTimer(room);
+  roomPasswordLimiters.delete(roomId);
+  room.players.forEach((pid) => {
+    if (players.get(pid)?.isBot) {
+      players.delete(pid);
+    }
+  });
+  rooms.delete(roomId);
 
-  if (!turnState.rolledDice.includes(face)) {
-    return { valid: false, error: "Face not in current roll" };
+  const tournament = tournaments.get(room.tournamentId);
+  if (tournament && tournamentRules.abandonTable(tournament, roomId)) {
+    advanceTournament(tournament);
   }
+}
+
+function hasHumanPlayers(room) {
+  return room.players.some((pid) => !players.get(pid)?.isBot);
+}
+
+// Admin views. Invite codes, password hashes and the dice seed stay out:
+// the seed would let anyone reading it predict every remaining roll.
+function getRoomOverview(room) {
+  const { inviteCode, ...summary } = getRoomSummary(room);
+  return {
+    ...summary,
+    currentPlayerId: room.game ? room.game.currentPlayerId : null,
+    turnNumber: room.game ? room.game.turnNumber : null,
+  };
+}
+
+function getRoomState(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+
+  return {
+    ...getRoomOverview(room),
+    spectators: room.spectators,
+    timeouts: room.timeouts,
+    game: room.game
+      ? {
+          ...getGameStateForRoom(room),
+          playerOrder: room.game.playerOrder,
+          turnNumber: room.game.turnNumber,
+          logLength: room.game.log.length,
+        }
+      : null,
+  };
+}
+
+function closeRoom(roomId, reason) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+
+  broadcastToRoom(roomId, { type: "room_closed", roomId, reason });
+  deleteRoom(roomId);
+  broadcastRoomsList();
+  scheduleSnapshot();
+
+  logger.warn("Room closed by admin", { roomId, reason });
+  return true;
+}
+
+function sendNotice(message) {
+  wss.clients.forEach((client) => {
+    broadcast(client, { type: "maintenance_notice", message });
+  });
+
+  logger.warn("Maintenance notice sent", {
+    message,
+    clients: wss.clients.size,
+  });
+  return wss.clients.size;
+}
+
+function broadcastToEntrants(tournament, data) {
+  tournament.entrants.forEach((entrant) => {
+    const player = players.get(entrant.id);
+    if (player?.ws) {
+      broadcast(player.ws, data);
+    }
+  });
+}
+
+function getTournamentsList() {
+  return [...tournaments.values()].map(tournamentRules.getTournamentSummary);
+}
+
+function broadcastTournamentsList() {
+  const tournamentsList = getTournamentsList();
+  wss.clients.forEach((client) => {
+    broadcast(client, {
+      type: "tournaments_list",
+      tournaments: tournamentsList,
+    });
+  });
+}
+
+// Each table is an ordinary room, so play, reconnects and snapshots work as
+// in any other game. Entrants still sitting in another room are moved out.
+function startTournamentRound(tournament) {
+  roundTimers.delete(tournament.id);
+
+  if (tournamentRules.isTournamentOver(tournament)) {
+    completeTournament(tournament);
+    return;
+  }
+
+  const round = tournamentRules.planRound(tournament);
+  const tableRooms = round.tables.map((table, index) => {
+    table.playerIds.forEach((pid) => {
+      leaveQueue(pid);
+      for (const other of [...rooms.values()]) {
+        removeSpectator(other, pid);
+        // Correspondence seats are kept, like on joining any other room
+        if (other.mode !== "correspondence" && other.players.includes(pid)) {
+          removeFromRoom(
+            other,
+            pid,
+            `${players.get(pid)?.name || "Unknown"} went to a tournament table`
+          );
+        }
+      }
+    });
+
+    const room = createRoom({
+      name: `${tournament.settings.name}: round ${round.number}, table ${
+        index + 1
+      }`,
+      maxPlayers: table.playerIds.length,
+      host: table.playerIds[0],
+      players: [...table.playerIds],
+      turnTimeLimit: tournament.settings.turnTimeLimit,
+      ruleset: tournament.settings.ruleset,
+      tournamentId: tournament.id,
+    });
+    table.roomId = room.id;
+    return room;
+  });
+
+  broadcastToEntrants(tournament, {
+    type: "tournament_round",
+    tournamentId: tournament.id,
+    round: round.number,
+    tables: round.tables.map((table) => ({
+      roomId: table.roomId,
+      players: table.playerIds.map((pid) => ({
+        id: pid,
+        name: players.get(pid)?.name || "Unknown",
+      })),
+    })),
+    byes: round.byes,
+  });
+  logger.info("Tournament round started", {
+    tournamentId: tournament.id,
+    round: round.number,
+    tables: round.tables.length,
+  });
+
+  tableRooms.forEach((room) => {
+    broadcastToRoom(room.id, {
+      type: "room_updated",
+      room: getRoomSummary(room),
+    });
+    startGame(room);
+  });
+
+  if (round.tables.length === 0) {
+    advanceTournament(tournament);
+  }
+  broadcastTournamentsList();
+}
+
+function scheduleTournamentRound(tournament) {
+  clearTimeout(roundTimers.get(tournament.id));
+  roundTimers.set(
+    tournament.id,
+    setTimeout(
+      () => startTournamentRound(tournament),
+      TOURNAMENT_ROUND_DELAY_MS
+    )
+  );
+}
+
+// Standings go out after every table; once the whole round is in, the
+// tournament either ends or starts the next round after a short break.
+function advanceTournament(tournament) {
+  const roundComplete = tournamentRules.isRoundComplete(tournament);
+  const over = roundComplete && tournamentRules.isTournamentOver(tournament);
+
+  broadcastToEntrants(tournament, {
+    type: "tournament_standings",
+    tournamentId: tournament.id,
+    round: tournamentRules.currentRound(tournament).number,
+    roundComplete,
+    nextRoundInMs: roundComplete && !over ? TOURNAMENT_ROUND_DELAY_MS : null,
+    standings: tournamentRules.getStandings(tournament),
+  });
+
+  if (over) {
+    completeTournament(tournament);
+  } else if (roundComplete) {
+    scheduleTournamentRound(tournament);
+  }
+  scheduleSnapshot();
+}
+
+function completeTournament(tournament) {
+  clearTimeout(roundTimers.get(tournament.id));
+  roundTimers.delete(tournament.id);
+
+  tournamentRules.finishTournament(tournament);
+  const record = tournamentStore.append(
+    tournamentRules.getTournamentResults(tournament)
+  );
+  tournaments.delete(tournament.id);
+
+  broadcastToEntrants(tournament, {
+    type: "tournament_finished",
+    tournamentId: tournament.id,
+    standings: record.players,
+  });
+  logger.info("Tournament finished", {
+    tournamentId: tournament.id,
+    rounds: tournament.rounds.length,
+  });
+  broadcastTournamentsList();
+}
+
+// Before the start this just drops the entry; once running the entrant
+// keeps their standing but isn't seated again.
+function withdrawEntrant(tournament, playerId) {
+  if (!tournamentRules.removeEntrant(tournament, playerId)) return;
+
+  if (tournament.status === "registering") {
+    if (tournament.entrants.length === 0) {
+      tournaments.delete(tournament.id);
+    } else if (tournament.organizerId === playerId) {
+      tournament.organizerId = tournament.entrants[0].id;
+    }
+  }
+
+  broadcastToEntrants(tournament, {
+    type: "tournament_updated",
+    tournament: tournamentRules.getTournamentSummary(tournament),
+  });
+  broadcastTournamentsList();
+}
+
+function broadcastQueueStatus() {
+  const now = Date.now();
+  matchQueue.entries.forEach(({ playerId }) => {
+    const player = players.get(playerId);
+    if (player && player.ws) {
+      broadcast(player.ws, {
+        type: "queue_status",
+        ...matchmaking.getQueueStatus(matchQueue, playerId, now, QUEUE_WAIT_MS),
+      });
+    }
+  });
+}
+
+// Starts every game the queue can fill, then sleeps until the next player's
+// wait runs out. Runs again whenever someone joins or leaves the queue.
+function runMatchmaking() {
+  clearTimeout(queueTimer);
+  queueTimer = null;
+
+  const now = Date.now();
+  matchmaking
+    .takeMatches(matchQueue, now, QUEUE_WAIT_MS)
+    .forEach(startQuickPlay);
+
+  const deadline = matchmaking.nextDeadline(matchQueue, now, QUEUE_WAIT_MS);
+  if (deadline !== null) {
+    queueTimer = setTimeout(runMatchmaking, deadline - now);
+  }
+  broadcastQueueStatus();
+}
+
+function startQuickPlay(match) {
+  match.playerIds.forEach((pid) => {
+    rooms.forEach((other) => removeSpectator(other, pid));
+  });
+
+  const room = createRoom({
+    name: "Quick play",
+    maxPlayers: match.playerIds.length,
+    host: match.playerIds[0],
+    players: [...match.playerIds],
+    ruleset: match.ruleset,
+  });
+  logger.info("Quick play match", {
+    roomId: room.id,
+    playerIds: match.playerIds,
+  });
+
+  broadcastToRoom(room.id, { type: "match_found", roomId: room.id });
+  broadcastToRoom(room.id, {
+    type: "room_updated",
+    room: getRoomSummary(room),
+  });
+  startGame(room);
+}
+
+function leaveQueue(playerId) {
+  if (matchmaking.removeFromQueue(matchQueue, playerId)) {
+    runMatchmaking();
+    return true;
+  }
+  return false;
+}
+
+// The host must be a seated human, preferably a connected one. Returns
+// whether the host changed.
+function migrateHost(room) {
+  const humans = room.players.filter((pid) => !players.get(pid)?.isBot);
+  // Nobody has to be online to host a correspondence game
+  const connected =
+    room.mode === "correspondence"
+      ? humans
+      : humans.filter((pid) => players.get(pid)?.ws);
+
+  if (
+    connected.includes(room.host) ||
+    (humans.includes(room.host) && connected.length === 0)
+  ) {
+    return false;
+  }
+
+  const nextHost = connected[0] || humans[0];
+  if (!nextHost) return false;
+
+  room.host = nextHost;
+  postSystemMessage(
+    room,
+    `${players.get(nextHost)?.name || "Unknown"} is now the host`
+  );
+  return true;
+}
+
+// A player leaving mid-game drops out of the rotation; the game ends early
+// once too few players are left to carry on.
+function leaveGame(room, playerId) {
+  const player = players.get(playerId);
+  room.departed[playerId] = {
+    name: player?.name,
+    profileId: player?.profileId || null,
+  };
+
+  const result = rules.removeFromGame(room.game, playerId, {
+    returnTiles: room.leaverTiles === "return",
+  });
+  if (!result.valid) return;
+
+  const tournament = tournaments.get(room.tournamentId);
+  if (tournament) {
+    withdrawEntrant(tournament, playerId);
+  }
+
+  broadcastGameUpdate(room, {
+    type: "player_left_game",
+    playerId,
+    playerName: player?.name || "Unknown",
+    returnedTiles: result.returnedTiles,
+  });
+
+  if (room.game.playerOrder.length < MIN_PLAYERS) {
+    finishGame(room);
+  } else {
+    onGameUpdated(room);
+  }
+}
+
+// Shared by leave_room, kick_player and expired sessions.
+function removeFromRoom(room, playerId, message) {
+  const player = players.get(playerId);
+  logger.info("Player left room", {
+    roomId: room.id,
+    playerId,
+    status: room.status,
+  });
+
+  room.players = room.players.filter((pid) => pid !== playerId);
+  if (room.status === "playing" && room.game.playerOrder.includes(playerId)) {
+    leaveGame(room, playerId);
+  }
+  if (player?.isBot) {
+    players.delete(playerId);
+  }
+
+  if (!hasHumanPlayers(room)) {
+    deleteRoom(room.id);
+  } else {
+    postSystemMessage(
+      room,
+      message || `${player?.name || "Unknown"} left the room`
+    );
+    migrateHost(room);
+    broadcastToRoom(room.id, {
+      type: "room_updated",
+      room: getRoomSummary(room),
+    });
+    resumeIfEveryoneBack(room);
+  }
+
+  broadcastRoomsList();
+}
+
+function postChatMessage(room, from, text) {
+  const message = {
+    id: uuidv4(),
+    channel: room ? room.id : "lobby",
+    from: from ? { id: from.id, name: from.name } : null,
+    system: !from,
+    text,
+    timestamp: new Date().toISOString(),
+  };
+
+  if (room) {
+    appendToScrollback(room.chat, message, CHAT_SCROLLBACK);
+    broadcastToRoom(room.id, { type: "chat_message", message });
+  } else {
+    appendToScrollback(lobbyChat, message, CHAT_SCROLLBACK);
+    players.forEach((player) => {
+      if (
+        player.ws &&
+        !findRoomForPlayer(player.id) &&
+        !findSpectatedRoom(player.id)
+      ) {
+        broadcast(player.ws, { type: "chat_message", message });
+      }
+    });
+  }
+
+  return message;
+}
+
+function postSystemMessage(room, text) {
+  return postChatMessage(room, null, text);
+}
+
+function sendChatHistory(ws, room) {
+  broadcast(ws, {
+    type: "chat_history",
+    channel: room ? room.id : "lobby",
+    messages: room ? room.chat : lobbyChat,
+  });
+}
+
+function disconnectPlayer(player) {
+  player.ws = null;
+  logger.info("Player disconnected", { playerId: player.id });
+  leaveQueue(player.id);
+
+  const room = findRoomForPlayer(player.id);
+  if (room) {
+    broadcastToRoom(room.id, {
+      type: "player_disconnected",
+      playerId: player.id,
+      playerName: player.name,
+      graceMs: RECONNECT_GRACE_MS,
+    });
+
+    if (migrateHost(room)) {
+      broadcastToRoom(room.id, {
+        type: "room_updated",
+        room: getRoomSummary(room),
+      });
+    }
+  }
+
+  player.graceTimer = setTimeout(
+    () => removePlayer(player.id),
+    RECONNECT_GRACE_MS
+  );
+}
+
+// Players with unfinished correspondence games keep those seats and their
+// session, however long they're away; everything else is given up.
+function removePlayer(playerId) {
+  const player = players.get(playerId);
+  if (!player) return;
+
+  clearTimeout(player.graceTimer);
+  const keptRooms = findCorrespondenceRooms(playerId);
+
+  for (const room of [...rooms.values()]) {
+    removeSpectator(room, playerId);
+
+    if (room.players.includes(playerId) && !keptRooms.includes(room)) {
+      removeFromRoom(room, playerId);
+    }
+  }
+
+  for (const tournament of [...tournaments.values()]) {
+    withdrawEntrant(tournament, playerId);
+  }
+
+  if (keptRooms.length > 0) return;
+
+  sessions.delete(player.token);
+  players.delete(playerId);
+}
+
+// A connection that switches identity leaves its previous player in the
+// reconnect grace period, as if the socket had closed.
+function releaseConnection(ws) {
+  const previous = ws.playerId && players.get(ws.playerId);
+  ws.playerId = undefined;
+
+  if (previous && previous.ws === ws) {
+    disconnectPlayer(previous);
+  }
+}
+
+function resumeSession(ws, token) {
+  const playerId = sessions.get(token);
+  const player = playerId && players.get(playerId);
+
+  if (!player) {
+    broadcast(ws, {
+      type: "resume_failed",
+      code: ERROR_CODES.SESSION_EXPIRED,
+      message: "Session expired",
+    });
+    return;
+  }
+
+  clearTimeout(player.graceTimer);
+  if (player.ws && player.ws !== ws) {
+    player.ws.playerId = undefined;
+    player.ws.close();
+  }
+  if (ws.playerId !== playerId) {
+    releaseConnection(ws);
+  }
+  ws.playerId = playerId;
+  player.ws = ws;
+
+  const seatedRoom = findRoomForPlayer(playerId);
+  const room = seatedRoom || findSpectatedRoom(playerId);
+  ws.openRoomId = room ? room.id : null;
+
+  broadcast(ws, {
+    type: "resumed",
+    protocolVersion: ws.protocolVersion,
+    playerId,
+    name: player.name,
+    profileId: player.profileId,
+    token,
+    spectator: Boolean(room && !seatedRoom),
+    room: room ? getRoomSummary(room) : null,
+    gameState: room && room.game ? getGameStateForRoom(room) : null,
+    turnState:
+      room && room.game && room.game.currentPlayerId === playerId
+        ? room.game.turnState
+        : null,
+  });
+
+  sendChatHistory(ws, room);
+
+  if (findCorrespondenceRooms(playerId).length > 0) {
+    broadcast(ws, getInbox(playerId));
+  }
+
+  if (seatedRoom) {
+    broadcastToRoom(seatedRoom.id, {
+      type: "player_reconnected",
+      playerId,
+      playerName: player.name,
+    });
+    resumeIfEveryoneBack(seatedRoom);
+  }
+}
+
+function getRoomsList() {
+  return Array.from(rooms.values())
+    .filter((r) => !r.isPrivate)
+    .filter((r) => r.status === "waiting" || r.status === "playing")
+    .map((r) => ({
+      id: r.id,
+      name: r.name,
+      playerCount: r.players.length,
+      maxPlayers: r.maxPlayers,
+      hasPassword: Boolean(r.passwordHash),
+      spectatorCount: r.spectators.length,
+      status: r.status,
+    }));
+}
+
+function broadcastRoomsList() {
+  const roomsList = getRoomsList();
+  wss.clients.forEach((client) => {
+    broadcast(client, { type: "rooms_list", rooms: roomsList });
+  });
+}
+
+let snapshotTimer = null;
+
+// Everything needed to rebuild the lobby after a restart. Sockets and
+// timers are left out; players come back through `resume`.
+function serializeState() {
+  return {
+    savedAt: new Date().toISOString(),
+    players: [...players.values()].map((player) => ({
+      id: player.id,
+      name: player.name,
+      token: player.token,
+      profileId: player.profileId,
+      isBot: player.isBot,
+      difficulty: player.difficulty,
+    })),
+    rooms: [...rooms.values()].map(
+      ({ botTimer, turnTimer, deadlineTimer, ...room }) => room
+    ),
+    tournaments: [...tournaments.values()],
+    lobbyChat,
+  };
+}
+
+function saveSnapshot() {
+  clearTimeout(snapshotTimer);
+  snapshotTimer = null;
+
+  try {
+    snapshotStore.save(serializeState());
+  } catch (error) {
+    logger.error("Failed to write snapshot", { error });
+  }
+}
+
+// State changes come in bursts (a roll, a pick, a claim), so writes are
+// batched a little.
+function scheduleSnapshot() {
+  if (!snapshotTimer) {
+    snapshotTimer = setTimeout(saveSnapshot, SNAPSHOT_DEBOUNCE_MS);
+  }
+}
+
+// Games that were running come back suspended: no turns, timers or bots
+// until every seated human has reconnected or timed out.
+function restoreSnapshot(snapshot) {
+  snapshot.players.forEach((saved) => {
+    const player = { ...saved, ws: null };
+    players.set(player.id, player);
+
+    if (!player.isBot) {
+      sessions.set(player.token, player.id);
+      player.graceTimer = setTimeout(
+        () => removePlayer(player.id),
+        RESTORE_GRACE_MS
+      );
+    }
+  });
+
+  snapshot.rooms.forEach((saved) => {
+    const room = {
+      mode: "live",
+      turnDeadlineHours: 0,
+      turnDeadline: null,
+      ...saved,
+      suspended: saved.status === "playing" && saved.mode !== "correspondence",
+    };
+    rooms.set(room.id, room);
+
+    // Snapshots from before state versions start counting afresh
+    if (!room.sync) {
+      room.sync = stateSync.createSync();
+      if (room.game) stateSync.resetSync(room.sync, room.game);
+    }
+
+    if (room.suspended) {
+      postSystemMessage(
+        room,
+        "The server restarted. The game continues once everyone is back"
+      );
+    } else if (room.status === "playing") {
+      onGameUpdated(room);
+    }
+  });
+
+  (snapshot.tournaments || []).forEach((tournament) => {
+    tournaments.set(tournament.id, tournament);
+
+    if (
+      tournament.status === "running" &&
+      tournamentRules.isRoundComplete(tournament)
+    ) {
+      scheduleTournamentRound(tournament);
+    }
+  });
+
+  lobbyChat.push(...snapshot.lobbyChat);
+
+  logger.info("Restored snapshot", {
+    rooms: snapshot.rooms.length,
+    players: snapshot.players.length,
+    savedAt: snapshot.savedAt,
+  });
+}
+
+function resumeIfEveryoneBack(room) {
+  if (!room.suspended) return;
+
+  const waiting = room.players.filter((pid) => {
+    const player = players.get(pid);
+    return player && !player.isBot && !player.ws;
+  });
+  if (room.status === "playing" && waiting.length > 0) return;
+
+  room.suspended = false;
+  if (room.status !== "playing") return;
+
+  postSystemMessage(room, "Everyone is back, the game continues");
+  broadcastToRoom(room.id, {
+    type: "game_resumed",
+    gameState: getGameStateForRoom(room),
+  });
+  onGameUpdated(room);
+}
+
+function joinRoom(ws, data, room) {
+  const joiningPlayer = players.get(data.playerId);
+
+  if (!joiningPlayer) {
+    sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, "Player not found");
+    return;
+  }
+
+  if (room.kicked.includes(data.playerId)) {
+    sendError(
+      ws,
+      ERROR_CODES.KICKED_FROM_ROOM,
+      "You were removed from this room"
+    );
+    return;
+  }
+
+  if (room.status !== "waiting") {
+    sendError(ws, ERROR_CODES.GAME_ALREADY_STARTED, "Game already started");
+    return;
+  }
+
+  if (
+    !room.players.includes(data.playerId) &&
+    room.players.length >= room.maxPlayers
+  ) {
+    sendError(ws, ERROR_CODES.ROOM_FULL, "Room is full");
+    return;
+  }
+
+  if (!room.players.includes(data.playerId)) {
+    room.spectators = room.spectators.filter((pid) => pid !== data.playerId);
+    room.players.push(data.playerId);
+    postSystemMessage(room, `${joiningPlayer.name} joined the room`);
+    leaveQueue(data.playerId);
+  }
+  ws.openRoomId = room.id;
+
+  broadcastToRoom(room.id, {
+    type: "room_updated",
+    room: getRoomSummary(room),
+  });
+  sendChatHistory(ws, room);
+
+  broadcastRoomsList();
+}
+
+function spectateRoom(ws, data, watchedRoom) {
+  const spectator = players.get(data.playerId);
+
+  if (!spectator) {
+    sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, "Player not found");
+    return;
+  }
+
+  if (watchedRoom.kicked.includes(data.playerId)) {
+    sendError(
+      ws,
+      ERROR_CODES.KICKED_FROM_ROOM,
+      "You were removed from this room"
+    );
+    return;
+  }
+
+  if (watchedRoom.players.includes(data.playerId)) {
+    sendError(
+      ws,
+      ERROR_CODES.ALREADY_SEATED,
+      "You already have a seat in this room"
+    );
+    return;
+  }
+
+  if (!watchedRoom.spectators.includes(data.playerId)) {
+    watchedRoom.spectators.push(data.playerId);
+  }
+  ws.openRoomId = watchedRoom.id;
+
+  broadcast(ws, {
+    type: "spectating",
+    room: getRoomSummary(watchedRoom),
+    gameState: watchedRoom.game ? getGameStateForRoom(watchedRoom) : null,
+  });
+  sendChatHistory(ws, watchedRoom);
+
+  broadcastToRoom(watchedRoom.id, {
+    type: "room_updated",
+    room: getRoomSummary(watchedRoom),
+  });
+
+  broadcastRoomsList();
+}
+
+// The acting player always comes from the connection. A playerId in the
+// message must match it, so a leaked id can't be used to act for someone.
+function bindPlayer(ws, data) {
+  if (data.playerId !== undefined && data.playerId !== ws.playerId) {
+    logger.warn("Rejected spoofed playerId", {
+      type: data.type,
+      ip: ws.remoteAddress,
+      claimedPlayerId: data.playerId,
+      playerId: ws.playerId || null,
+      roomId: data.roomId,
+    });
+    return {
+      valid: false,
+      code: ERROR_CODES.PLAYER_MISMATCH,
+      error: "Player does not match this connection",
+    };
+  }
+
+  if (!ws.playerId && protocol.requiresPlayer(data.type)) {
+    return {
+      valid: false,
+      code: ERROR_CODES.NOT_REGISTERED,
+      error: "Register or resume first",
+    };
+  }
+
+  if (ws.playerId) {
+    data.playerId = ws.playerId;
+  }
+  return { valid: true };
+}
+
+wss.on("connection", (ws, req) => {
+  ws.isAlive = true;
+  ws.remoteAddress = req.socket.remoteAddress;
+  logger.info("Connection opened", { ip: ws.remoteAddress });
+  ws.messageLimiter = createRateLimiter({
+    limit: MESSAGE_RATE_LIMIT,
+    windowMs: MESSAGE_RATE_WINDOW_MS,
+  });
+  ws.chatLimiter = createRateLimiter({
+    limit: CHAT_RATE_LIMIT,
+    windowMs: CHAT_RATE_WINDOW_MS,
+  });
+  ws.passwordLimiter = createRateLimiter({
+    limit: PASSWORD_ATTEMPT_LIMIT,
+    windowMs: PASSWORD_ATTEMPT_WINDOW_MS,
+  });
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
+
+  ws.on("message", (message) => {
+    const startedAt = process.hrtime.bigint();
+
+    if (!ws.messageLimiter.allow()) {
+      sendError(ws, ERROR_CODES.RATE_LIMITED, "Too many messages, slow down");
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      sendError(ws, ERROR_CODES.INVALID_MESSAGE, "Message is not valid JSON");
+      return;
+    }
+
+    if (data && typeof data === "object" && data.requestId !== undefined) {
+      ws.pendingRequestId = data.requestId;
+    }
+
+    try {
+      const check = protocol.validateClientMessage(data);
+      if (!check.valid) {
+        sendError(ws, check.code, check.error);
+        return;
+      }
+
+      const identity = bindPlayer(ws, data);
+      if (!identity.valid) {
+        sendError(ws, identity.code, identity.error);
+        return;
+      }
+
+      switch (data.type) {
+        case "register":
+          if (!data.name.trim()) {
+            sendError(ws, ERROR_CODES.INVALID_MESSAGE, "Name is required");
+            return;
+          }
+
+          if (!protocol.isSupportedVersion(data.protocolVersion)) {
+            broadcast(ws, {
+              type: "error",
+              code: ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+              message: `Protocol version ${data.protocolVersion} is not supported`,
+              supportedVersions: protocol.SUPPORTED_VERSIONS,
+            });
+            return;
+          }
+          const claimed = profileStore.claim(data.name, data.profileSecret);
+          if (!claimed.valid) {
+            sendError(ws, claimed.code, claimed.error);
+            return;
+          }
+          const { profile } = claimed;
+          ws.protocolVersion = data.protocolVersion;
+
+          releaseConnection(ws);
+
+          const playerId = uuidv4();
+          const token = crypto.randomBytes(24).toString("hex");
+          players.set(playerId, {
+            id: playerId,
+            name: data.name,
+            ws,
+            token,
+            profileId: profile.id,
+          });
+          sessions.set(token, playerId);
+          ws.playerId = playerId;
+
+          broadcast(ws, {
+            type: "registered",
+            playerId,
+            name: data.name,
+            token,
+            profileId: profile.id,
+            // Only when the name was just claimed: keep it to come back
+            ...(claimed.secret && { profileSecret: claimed.secret }),
+            protocolVersion: ws.protocolVersion,
+          });
+
+          broadcast(ws, {
+            type: "rooms_list",
+            rooms: getRoomsList(),
+          });
+          sendChatHistory(ws, null);
+          break;
+
+        case "resume":
+          if (!protocol.isSupportedVersion(data.protocolVersion)) {
+            broadcast(ws, {
+              type: "error",
+              code: ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION,
+              message: `Protocol version ${data.protocolVersion} is not supported`,
+              supportedVersions: protocol.SUPPORTED_VERSIONS,
+            });
+            return;
+          }
+          ws.protocolVersion = data.protocolVersion;
+          resumeSession(ws, data.token);
+          break;
+
+        case "list_rooms":
+          broadcast(ws, {
+            type: "rooms_list",
+            rooms: getRoomsList(),
+          });
+          sendChatHistory(ws, null);
+          break;
+
+        case "create_room":
+          const roomId = uuidv4();
+          const creator = players.get(data.playerId);
+
+          if (!creator) {
+            sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, "Player not found");
+            return;
+          }
+
+          const turnTimeLimit = Number(data.turnTimeLimit) || 0;
+          const awayAfterTimeouts = Number(data.awayAfterTimeouts) || 0;
+
+          if (
+            !Number.isInteger(turnTimeLimit) ||
+            turnTimeLimit < 0 ||
+            turnTimeLimit > MAX_TURN_TIME_LIMIT
+          ) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              `Turn time limit must be 0-${MAX_TURN_TIME_LIMIT} seconds`
+            );
+            return;
+          }
+
+          if (!Number.isInteger(awayAfterTimeouts) || awayAfterTimeouts < 0) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              "Away threshold must be a whole number"
+            );
+            return;
+          }
+
+          const maxPlayers =
+            data.maxPlayers === undefined
+              ? MAX_PLAYERS
+              : Number(data.maxPlayers);
+
+          if (
+            !Number.isInteger(maxPlayers) ||
+            maxPlayers < MIN_PLAYERS ||
+            maxPlayers > MAX_PLAYERS
+          ) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              `Seat limit must be ${MIN_PLAYERS}-${MAX_PLAYERS}`
+            );
+            return;
+          }
+
+          if (
+            data.password !== undefined &&
+            typeof data.password !== "string"
+          ) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              "Invalid password"
+            );
+            return;
+          }
+
+          const leaverTiles = data.leaverTiles || "return";
+
+          if (!["return", "keep"].includes(leaverTiles)) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              'Leaver tiles must be "return" or "keep"'
+            );
+            return;
+          }
+
+          const mode = data.mode || "live";
+          const turnDeadlineHours =
+            mode === "correspondence"
+              ? data.turnDeadlineHours ?? DEFAULT_TURN_DEADLINE_HOURS
+              : 0;
+
+          if (mode === "correspondence" && turnTimeLimit > 0) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              "Correspondence games use a turn deadline in hours instead"
+            );
+            return;
+          }
+
+          if (
+            !Number.isInteger(turnDeadlineHours) ||
+            (mode === "correspondence" &&
+              (turnDeadlineHours < 1 ||
+                turnDeadlineHours > MAX_TURN_DEADLINE_HOURS))
+          ) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              `Turn deadline must be 1-${MAX_TURN_DEADLINE_HOURS} hours`
+            );
+            return;
+          }
+
+          const rulesetResult = resolveRuleset(data.ruleset);
+
+          if (!rulesetResult.valid) {
+            sendError(ws, ERROR_CODES.INVALID_RULESET, rulesetResult.error);
+            return;
+          }
+
+          const { inviteCode } = createRoom({
+            id: roomId,
+            name: data.roomName,
+            isPrivate: Boolean(data.isPrivate),
+            passwordHash: data.password ? hashPassword(data.password) : null,
+            maxPlayers,
+            host: data.playerId,
+            players: [data.playerId],
+            turnTimeLimit,
+            awayAfterTimeouts,
+            ruleset: rulesetResult.ruleset,
+            leaverTiles,
+            oddsHints: Boolean(data.oddsHints),
+            mode,
+            turnDeadlineHours,
+          });
+          // Seated now, so quick-play mustn't find them a second table
+          leaveQueue(data.playerId);
+
+          logger.info("Room created", { roomId, playerId: data.playerId });
+
+          broadcast(ws, {
+            type: "room_created",
+            roomId,
+            roomName: data.roomName,
+            inviteCode,
+            inviteUrl: `/?room=${inviteCode}`,
+          });
+
+          broadcastRoomsList();
+          break;
+
+        case "join_room":
+          withRoomAccess(ws, data, (room) => joinRoom(ws, data, room));
+          break;
+
+        case "spectate_room":
+          withRoomAccess(ws, data, (room) => spectateRoom(ws, data, room));
+          break;
+
+        case "start_game":
+          const gameRoom = rooms.get(data.roomId);
+
+          if (!gameRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+            return;
+          }
+
+          if (gameRoom.host !== data.playerId) {
+            sendError(ws, ERROR_CODES.NOT_HOST, "Only host can start game");
+            return;
+          }
+
+          if (gameRoom.status !== "waiting") {
+            sendError(
+              ws,
+              ERROR_CODES.GAME_ALREADY_STARTED,
+              "Game already started"
+            );
+            return;
+          }
+
+          if (gameRoom.players.length < 2) {
+            sendError(
+              ws,
+              ERROR_CODES.NOT_ENOUGH_PLAYERS,
+              "Need at least 2 players"
+            );
+            return;
+          }
+
+          startGame(gameRoom);
+          break;
+
+        case "add_bot":
+          const botRoom = rooms.get(data.roomId);
+
+          if (!botRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+            return;
+          }
+
+          if (botRoom.host !== data.playerId) {
+            sendError(ws, ERROR_CODES.NOT_HOST, "Only host can add bots");
+            return;
+          }
+
+          if (botRoom.status !== "waiting") {
+            sendError(
+              ws,
+              ERROR_CODES.GAME_ALREADY_STARTED,
+              "Game already started"
+            );
+            return;
+          }
+
+          if (botRoom.players.length >= botRoom.maxPlayers) {
+            sendError(ws, ERROR_CODES.ROOM_FULL, "Room is full");
+            return;
+          }
+
+          if (!bots.getStrategy(data.difficulty)) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_ROOM_SETTINGS,
+              "Unknown bot difficulty"
+            );
+            return;
+          }
+
+          addBot(botRoom, data.difficulty);
+
+          broadcastToRoom(data.roomId, {
+            type: "room_updated",
+            room: getRoomSummary(botRoom),
+          });
+
+          broadcastRoomsList();
+          break;
+
+        case "remove_bot":
+          const botHostRoom = rooms.get(data.roomId);
+          const removedBot = players.get(data.botId);
+
+          if (!botHostRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+            return;
+          }
+
+          if (botHostRoom.host !== data.playerId) {
+            sendError(ws, ERROR_CODES.NOT_HOST, "Only host can remove bots");
+            return;
+          }
+
+          if (botHostRoom.status !== "waiting") {
+            sendError(
+              ws,
+              ERROR_CODES.GAME_ALREADY_STARTED,
+              "Game already started"
+            );
+            return;
+          }
+
+          if (
+            !removedBot ||
+            !removedBot.isBot ||
+            !botHostRoom.players.includes(data.botId)
+          ) {
+            sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, "Bot not found");
+            return;
+          }
+
+          botHostRoom.players = botHostRoom.players.filter(
+            (pid) => pid !== data.botId
+          );
+          players.delete(data.botId);
+
+          broadcastToRoom(data.roomId, {
+            type: "room_updated",
+            room: getRoomSummary(botHostRoom),
+          });
+
+          broadcastRoomsList();
+          break;
+
+        case "roll_dice":
+          const rollRoom = rooms.get(data.roomId);
+
+          if (!rollRoom || !rollRoom.game) {
+            sendError(ws, ERROR_CODES.GAME_NOT_FOUND, "Game not found");
+            return;
+          }
+
+          const rollResult = performRoll(rollRoom, data.playerId);
+
+          if (!rollResult.valid) {
+            sendError(ws, rollResult.code, rollResult.error);
+            return;
+          }
+          noteActivity(rollRoom, data.playerId);
+          break;
+
+        case "select_face":
+          const selectRoom = rooms.get(data.roomId);
+
+          if (!selectRoom || !selectRoom.game) {
+            sendError(ws, ERROR_CODES.GAME_NOT_FOUND, "Game not found");
+            return;
+          }
+
+          const selectResult = performSelectFace(
+            selectRoom,
+            data.playerId,
+            data.face
+          );
+
+          if (!selectResult.valid) {
+            sendError(ws, selectResult.code, selectResult.error);
+            return;
+          }
+          noteActivity(selectRoom, data.playerId);
+          break;
+
+        case "select_tile":
+          const stopRoomSelect = rooms.get(data.roomId);
+
+          if (!stopRoomSelect || !stopRoomSelect.game) {
+            sendError(ws, ERROR_CODES.GAME_NOT_FOUND, "Game not found");
+            return;
+          }
+
+          const turnResultSelect = performClaimTile(
+            stopRoomSelect,
+            data.playerId,
+            data.tile
+          );
+
+          if (!turnResultSelect.valid) {
+            sendError(ws, turnResultSelect.code, turnResultSelect.error);
+            return;
+          }
+          noteActivity(stopRoomSelect, data.playerId);
+          break;
+
+        case "stop_turn":
+          const stopRoom = rooms.get(data.roomId);
+
+          if (!stopRoom || !stopRoom.game) {
+            sendError(ws, ERROR_CODES.GAME_NOT_FOUND, "Game not found");
+            return;
+          }
+
+          const giveUpResult = performGiveUp(stopRoom, data.playerId);
+
+          if (!giveUpResult.valid) {
+            sendError(ws, giveUpResult.code, giveUpResult.error);
+            return;
+          }
+          noteActivity(stopRoom, data.playerId);
+          break;
+
+        case "get_turn_odds":
+          const oddsRoom = rooms.get(data.roomId);
+
+          if (!oddsRoom || !oddsRoom.game || oddsRoom.status !== "playing") {
+            sendError(ws, ERROR_CODES.GAME_NOT_FOUND, "Game not found");
+            return;
+          }
+
+          const oddsResult = getTurnOddsFor(oddsRoom, data.playerId);
+
+          if (!oddsResult.valid) {
+            sendError(ws, oddsResult.code, oddsResult.error);
+            return;
+          }
+
+          const oddsTurn = oddsRoom.game.turnNumber;
+          const oddsRequestId = ws.pendingRequestId;
+          oddsResult.odds
+            .then((odds) => {
+              ws.pendingRequestId = oddsRequestId;
+              broadcast(ws, {
+                type: "turn_odds",
+                roomId: oddsRoom.id,
+                turnNumber: oddsTurn,
+                odds,
+              });
+            })
+            .catch((error) => {
+              ws.pendingRequestId = oddsRequestId;
+              logger.error("Error computing turn odds", {
+                roomId: oddsRoom.id,
+                playerId: data.playerId,
+                error,
+              });
+              sendError(ws, ERROR_CODES.INTERNAL_ERROR, "Server error");
+            })
+            .finally(() => {
+              ws.pendingRequestId = undefined;
+            });
+          break;
 
-  const count = turnState.rolledDice.filter((f) => f === face).length;
-  const value = calculateDiceValue(face);
-  const pointsGained = value * count;
+        case "im_back":
+          const awayRoom = rooms.get(data.roomId);
 
-  turnState.selectedFaces.push(face);
-  turnState.currentScore += pointsGained;
-  turnState.availableDice -= count;
+          if (!awayRoom || !awayRoom.game) {
+            sendError(ws, ERROR_CODES.GAME_NOT_FOUND, "Game not found");
+            return;
+          }
 
-  if (face === "worm") {
-    turnState.hasWorm = true;
-  }
+          if (!awayRoom.game.inactivePlayers.includes(data.playerId)) {
+            return;
+          }
 
-  // Reset rolled dice for next roll
-  turnState.rolledDice = [];
-  turnState.faceCounts = {};
+          rules.setPlayerActive(awayRoom.game, data.playerId, true);
+          noteActivity(awayRoom, data.playerId);
 
-  return { valid: true, count, value: pointsGained };
-}
+          broadcastGameUpdate(awayRoom, {
+            type: "player_back",
+            playerId: data.playerId,
+            playerName: players.get(data.playerId)?.name || "Unknown",
+          });
+          break;
 
-function endPlayerTurnBust(room, playerId) {
-  const { game } = room;
-  const { turnState } = game;
+        case "sync_request":
+          const syncRoom = rooms.get(data.roomId);
 
-  // Player must have a worm to take anything
-  if (!turnState.hasWorm && game.playerStacks[playerId].length > 0) {
-    const lostTile = game.playerStacks[playerId].pop();
-    game.tiles.push(lostTile);
-    game.tiles.sort((a, b) => a.number - b.number);
-  }
+          if (!syncRoom || !syncRoom.game) {
+            sendError(ws, ERROR_CODES.GAME_NOT_FOUND, "Game not found");
+            return;
+          }
 
-  // Check if game is over
-  if (game.tiles.length === 0) {
-    return { gameOver: true };
-  }
+          if (
+            !syncRoom.players.includes(data.playerId) &&
+            !syncRoom.spectators.includes(data.playerId)
+          ) {
+            sendError(ws, ERROR_CODES.NOT_IN_ROOM, "You are not in this room");
+            return;
+          }
 
-  // Next player's turn
-  game.currentPlayerIndex = (game.currentPlayerIndex + 1) % room.players.length;
-  game.currentPlayerId = room.players[game.currentPlayerIndex];
+          // Missing updates if they're still kept, otherwise the whole game
+          const updates = stateSync.getUpdatesSince(
+            syncRoom.sync,
+            data.sinceVersion
+          );
+          broadcast(ws, {
+            type: "state_sync",
+            roomId: syncRoom.id,
+            version: syncRoom.sync.version,
+            ...(updates
+              ? { updates }
+              : { gameState: getGameStateForRoom(syncRoom) }),
+          });
+          break;
 
-  // Reset turn state
-  game.turnState = {
-    availableDice: 8,
-    selectedFaces: [],
-    currentScore: 0,
-    hasWorm: false,
-    rolledDice: [],
-    faceCounts: {},
-  };
+        case "get_inbox":
+          broadcast(ws, getInbox(data.playerId));
+          break;
 
-  return { gameOver: false };
-}
+        // Switches this connection to one of the player's games; in
+        // correspondence rooms only the open game's updates are sent.
+        case "open_game":
+          const openedRoom = rooms.get(data.roomId);
 
-function endPlayerTurn(room, tile, playerId) {
-  const { game } = room;
-  const { number } = tile;
-  const { turnState } = game;
-
-  const score = turnState.currentScore;
-  let takenTile = null;
-  // 1. Get from the pile of tiles
-  const tileIndex = game.tiles.findIndex((t) => t.number === number);
-  if (tileIndex > -1) {
-    takenTile = game.tiles.splice(tileIndex + 1, 1)[0];
-    game.playerStacks[playerId].push(takenTile);
-  } else {
-    // 2. Try to steal from another player's top tile
-    for (const [pid, stack] of Object.entries(game.playerStacks)) {
-      if (pid !== playerId && stack.length > 0) {
-        const topTile = stack[stack.length - 1];
-        if (topTile.number === score) {
-          stack.pop();
-          game.playerStacks[playerId].push(topTile);
-          break;
-        }
-      }
-    }
-  }
+          if (!openedRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
+            return;
+          }
 
-  // Check if game is over
-  if (game.tiles.length === 0) {
-    return { gameOver: true };
-  }
+          if (!openedRoom.players.includes(data.playerId)) {
+            sendError(ws, ERROR_CODES.NOT_IN_ROOM, "You are not in this room");
+            return;
+          }
 
-  // Next player's turn
-  game.currentPlayerIndex = (game.currentPlayerIndex + 1) % room.players.length;
-  game.currentPlayerId = room.players[game.currentPlayerIndex];
+          ws.openRoomId = openedRoom.id;
+          broadcast(ws, {
+            type: "game_opened",
+            room: getRoomSummary(openedRoom),
+            gameState: openedRoom.game ? getGameStateForRoom(openedRoom) : null,
+          });
+          sendChatHistory(ws, openedRoom);
+          break;
 
-  // Reset turn state
-  game.turnState = {
-    availableDice: 8,
-    selectedFaces: [],
-    currentScore: 0,
-    hasWorm: false,
-    rolledDice: [],
-    faceCounts: {},
-  };
+        case "close_game":
+          ws.openRoomId = null;
+          break;
 
-  return { gameOver: false };
-}
+        case "claim_tile":
+          // This is not used in current flow - tiles are auto-claimed
+          // Keeping for future expansion
+          break;
 
-function calculateWinner(room) {
-  const { game } = room;
-  let maxWorms = -1;
-  let winnerId = null;
-
-  for (const [playerId, stack] of Object.entries(game.playerStacks)) {
-    const totalWorms = stack.reduce((sum, tile) => sum + tile.worms, 0);
-    if (totalWorms > maxWorms) {
-      maxWorms = totalWorms;
-      winnerId = playerId;
-    }
-  }
+        case "replay_game":
+          const replayed = findGame(data.gameId);
 
-  return { winnerId, worms: maxWorms };
-}
+          if (!replayed || !replayed.log) {
+            sendError(
+              ws,
+              ERROR_CODES.NO_REPLAY,
+              "No replay available for this game"
+            );
+            return;
+          }
 
-wss.on("connection", (ws) => {
-  console.log("New connection");
+          const step =
+            data.step === undefined ? replayed.log.length : Number(data.step);
 
-  ws.on("message", (message) => {
-    try {
-      const data = JSON.parse(message);
+          if (
+            !Number.isInteger(step) ||
+            step < 0 ||
+            step > replayed.log.length
+          ) {
+            sendError(ws, ERROR_CODES.INVALID_QUERY, "Invalid step");
+            return;
+          }
 
-      switch (data.type) {
-        case "register":
-          const playerId = uuidv4();
-          players.set(playerId, { id: playerId, name: data.name, ws });
+          let replayState;
+          try {
+            replayState = replayGame(replayed, step);
+          } catch (error) {
+            sendError(ws, ERROR_CODES.REPLAY_FAILED, error.message);
+            return;
+          }
 
           broadcast(ws, {
-            type: "registered",
-            playerId,
-            name: data.name,
+            type: "replay_started",
+            gameId: replayed.id,
+            seed: replayed.seed,
+            startingOrder: replayed.startingOrder,
+            ruleset: replayed.ruleset || null,
+            totalSteps: replayed.log.length,
           });
 
-          const roomsList = Array.from(rooms.values())
-            .filter((r) => r.status === "waiting")
-            .map((r) => ({
-              id: r.id,
-              name: r.name,
-              playerCount: r.players.length,
-              status: r.status,
-            }));
+          replayed.log.slice(0, step).forEach((event) => {
+            broadcast(ws, { type: "replay_event", gameId: replayed.id, event });
+          });
 
           broadcast(ws, {
-            type: "rooms_list",
-            rooms: roomsList,
+            type: "replay_finished",
+            gameId: replayed.id,
+            step,
+            state: {
+              tiles: replayState.tiles,
+              faceDownTiles: replayState.faceDownTiles,
+              playerStacks: replayState.playerStacks,
+              currentPlayerId: replayState.currentPlayerId,
+              turnState: replayState.turnState,
+            },
           });
           break;
 
-        case "create_room":
-          const roomId = uuidv4();
-          const creator = players.get(data.playerId);
+        case "get_history":
+          const historyPage = historyStore.query({
+            player: data.player,
+            from: data.from,
+            to: data.to,
+            limit: data.limit,
+            cursor: data.cursor,
+          });
 
-          if (!creator) {
-            broadcast(ws, { type: "error", message: "Player not found" });
+          if (!historyPage.valid) {
+            sendError(ws, ERROR_CODES.INVALID_QUERY, historyPage.error);
             return;
           }
 
-          rooms.set(roomId, {
-            id: roomId,
-            name: data.roomName,
-            host: data.playerId,
-            players: [data.playerId],
-            status: "waiting",
-            game: null,
-          });
-
           broadcast(ws, {
-            type: "room_created",
-            roomId,
-            roomName: data.roomName,
-          });
-
-          wss.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-              const roomsList = Array.from(rooms.values())
-                .filter((r) => r.status === "waiting")
-                .map((r) => ({
-                  id: r.id,
-                  name: r.name,
-                  playerCount: r.players.length,
-                  status: r.status,
-                }));
-              broadcast(client, { type: "rooms_list", rooms: roomsList });
-            }
+            type: "game_history",
+            history: historyPage.games,
+            nextCursor: historyPage.nextCursor,
+            cursor: data.cursor || null,
           });
           break;
 
-        case "join_room":
-          const room = rooms.get(data.roomId);
-          const joiningPlayer = players.get(data.playerId);
+        case "chat_message":
+          const chatter = players.get(data.playerId);
+          const chatRoom = data.roomId ? rooms.get(data.roomId) : null;
+          const chatText =
+            typeof data.text === "string" ? data.text.trim() : "";
 
-          if (!room) {
-            broadcast(ws, { type: "error", message: "Room not found" });
+          if (!chatter) {
+            sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, "Player not found");
             return;
           }
 
-          if (!joiningPlayer) {
-            broadcast(ws, { type: "error", message: "Player not found" });
+          if (data.roomId && !chatRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
             return;
           }
 
-          if (room.status !== "waiting") {
-            broadcast(ws, { type: "error", message: "Game already started" });
+          if (
+            chatRoom &&
+            !chatRoom.players.includes(data.playerId) &&
+            !chatRoom.spectators.includes(data.playerId)
+          ) {
+            sendError(ws, ERROR_CODES.NOT_IN_ROOM, "You are not in this room");
             return;
           }
 
-          if (room.players.length >= 7) {
-            broadcast(ws, { type: "error", message: "Room is full" });
+          if (!chatText) {
             return;
           }
 
-          if (!room.players.includes(data.playerId)) {
-            room.players.push(data.playerId);
+          if (chatText.length > CHAT_MAX_LENGTH) {
+            sendError(
+              ws,
+              ERROR_CODES.MESSAGE_TOO_LONG,
+              `Messages are limited to ${CHAT_MAX_LENGTH} characters`
+            );
+            return;
           }
 
-          broadcastToRoom(data.roomId, {
-            type: "room_updated",
-            room: {
-              id: room.id,
-              name: room.name,
-              host: room.host,
-              players: room.players.map((pid) => ({
-                id: pid,
-                name: players.get(pid)?.name || "Unknown",
-              })),
-              status: room.status,
-            },
-          });
+          if (chatRoom && chatRoom.muted.includes(data.playerId)) {
+            sendError(ws, ERROR_CODES.MUTED, "You are muted");
+            return;
+          }
 
-          wss.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-              const roomsList = Array.from(rooms.values())
-                .filter((r) => r.status === "waiting")
-                .map((r) => ({
-                  id: r.id,
-                  name: r.name,
-                  playerCount: r.players.length,
-                  status: r.status,
-                }));
-              broadcast(client, { type: "rooms_list", rooms: roomsList });
-            }
-          });
+          if (!ws.chatLimiter.allow()) {
+            sendError(
+              ws,
+              ERROR_CODES.RATE_LIMITED,
+              "You are sending messages too fast"
+            );
+            return;
+          }
+
+          postChatMessage(chatRoom, chatter, filterChat(chatText));
           break;
 
-        case "start_game":
-          const gameRoom = rooms.get(data.roomId);
+        case "mute_player":
+          const muteRoom = rooms.get(data.roomId);
 
-          if (!gameRoom) {
-            broadcast(ws, { type: "error", message: "Room not found" });
+          if (!muteRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
             return;
           }
 
-          if (gameRoom.host !== data.playerId) {
-            broadcast(ws, {
-              type: "error",
-              message: "Only host can start game",
-            });
+          if (muteRoom.host !== data.playerId) {
+            sendError(ws, ERROR_CODES.NOT_HOST, "Only host can mute");
             return;
           }
 
-          if (gameRoom.players.length < 2) {
-            broadcast(ws, {
-              type: "error",
-              message: "Need at least 2 players",
-            });
+          if (
+            data.targetId === data.playerId ||
+            (!muteRoom.players.includes(data.targetId) &&
+              !muteRoom.spectators.includes(data.targetId))
+          ) {
+            sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, "Player not found");
             return;
           }
 
-          initializeGame(data.roomId);
+          const mute = data.muted !== false;
+          muteRoom.muted = muteRoom.muted.filter(
+            (pid) => pid !== data.targetId
+          );
+          if (mute) {
+            muteRoom.muted.push(data.targetId);
+          }
 
           broadcastToRoom(data.roomId, {
-            type: "game_started",
-            game: getGameStateForRoom(gameRoom),
+            type: "room_updated",
+            room: getRoomSummary(muteRoom),
           });
+          postSystemMessage(
+            muteRoom,
+            `${players.get(data.targetId)?.name || "Unknown"} was ${
+              mute ? "muted" : "unmuted"
+            } by the host`
+          );
           break;
 
-        case "roll_dice":
-          const rollRoom = rooms.get(data.roomId);
+        case "get_leaderboard":
+          broadcast(ws, {
+            type: "leaderboard",
+            leaderboard: statsTracker.getLeaderboard(
+              Math.min(Number(data.limit) || 20, 100)
+            ),
+          });
+          break;
 
-          if (!rollRoom || !rollRoom.game) {
-            broadcast(ws, { type: "error", message: "Game not found" });
+        case "get_player_stats":
+          const statsProfileId =
+            data.profileId || players.get(data.playerId)?.profileId;
+          const playerStats = statsTracker.getPlayerStats(statsProfileId);
+
+          if (!playerStats) {
+            sendError(ws, ERROR_CODES.NO_STATS, "No statistics yet");
+            return;
+          }
+
+          broadcast(ws, { type: "player_stats", stats: playerStats });
+          break;
+
+        case "leave_room":
+          const leaveRoom = rooms.get(data.roomId);
+          if (leaveRoom && removeSpectator(leaveRoom, data.playerId)) {
+            broadcastRoomsList();
+          } else if (leaveRoom && leaveRoom.players.includes(data.playerId)) {
+            removeFromRoom(leaveRoom, data.playerId);
+          }
+          break;
+
+        case "kick_player":
+          const kickRoom = rooms.get(data.roomId);
+
+          if (!kickRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
             return;
           }
 
-          if (rollRoom.game.currentPlayerId !== data.playerId) {
-            broadcast(ws, { type: "error", message: "Not your turn" });
+          if (kickRoom.host !== data.playerId) {
+            sendError(ws, ERROR_CODES.NOT_HOST, "Only host can kick");
             return;
           }
 
-          const rollResult = processRoll(rollRoom, data.playerId);
+          if (kickRoom.tournamentId) {
+            sendError(
+              ws,
+              ERROR_CODES.TOURNAMENT_ROOM,
+              "Tournament tables can't be changed"
+            );
+            return;
+          }
 
-          if (!rollResult.valid) {
-            broadcast(ws, { type: "error", message: rollResult.error });
+          if (
+            data.targetId === data.playerId ||
+            (!kickRoom.players.includes(data.targetId) &&
+              !kickRoom.spectators.includes(data.targetId))
+          ) {
+            sendError(ws, ERROR_CODES.PLAYER_NOT_FOUND, "Player not found");
             return;
           }
 
-          if (rollResult.bust) {
-            // BUST - no available faces
-            const bustResult = endPlayerTurn(rollRoom, data.playerId);
-            const currentPlayerName =
-              players.get(rollRoom.game.currentPlayerId)?.name || "Unknown";
+          const kickedPlayer = players.get(data.targetId);
+          const kickMessage = `${
+            kickedPlayer?.name || "Unknown"
+          } was removed by the host`;
 
-            broadcastToRoom(data.roomId, {
-              type: "turn_bust",
-              playerName: players.get(data.playerId)?.name || "Unknown",
-              gameState: getGameStateForRoom(rollRoom),
-              gameOver: bustResult.gameOver,
-            });
+          logger.info("Player kicked", {
+            roomId: kickRoom.id,
+            playerId: data.targetId,
+            hostId: data.playerId,
+          });
 
-            if (bustResult.gameOver) {
-              const winner = calculateWinner(rollRoom);
-              const gameRecord = {
-                roomName: rollRoom.name,
-                date: new Date().toISOString(),
-                winner: {
-                  id: winner.winnerId,
-                  name: players.get(winner.winnerId)?.name,
-                  worms: winner.worms,
-                },
-                players: rollRoom.players.map((pid) => ({
-                  id: pid,
-                  name: players.get(pid)?.name,
-                  worms: rollRoom.game.playerStacks[pid].reduce(
-                    (sum, t) => sum + t.worms,
-                    0
-                  ),
-                })),
-              };
-              gameHistory.push(gameRecord);
-
-              broadcastToRoom(data.roomId, {
-                type: "game_over",
-                winner: gameRecord.winner,
-                finalScores: gameRecord.players,
-              });
+          if (!kickedPlayer?.isBot) {
+            kickRoom.kicked.push(data.targetId);
+          }
+          if (kickedPlayer?.ws) {
+            broadcast(kickedPlayer.ws, {
+              type: "kicked",
+              roomId: kickRoom.id,
+              roomName: kickRoom.name,
+            });
+          }
 
-              rollRoom.status = "finished";
-            }
+          if (removeSpectator(kickRoom, data.targetId)) {
+            postSystemMessage(kickRoom, kickMessage);
+            broadcastRoomsList();
           } else {
-            // Valid roll - show dice and available faces
-            broadcastToRoom(data.roomId, {
-              type: "dice_rolled",
-              diceResults: rollResult.diceResults,
-              availableFaces: rollResult.availableFaces,
-              faceCounts: rollResult.faceCounts,
-            });
+            removeFromRoom(kickRoom, data.targetId, kickMessage);
           }
           break;
 
-        case "select_face":
-          const selectRoom = rooms.get(data.roomId);
+        case "rematch":
+          const rematchRoom = rooms.get(data.roomId);
 
-          if (!selectRoom || !selectRoom.game) {
-            broadcast(ws, { type: "error", message: "Game not found" });
+          if (!rematchRoom) {
+            sendError(ws, ERROR_CODES.ROOM_NOT_FOUND, "Room not found");
             return;
           }
 
-          if (selectRoom.game.currentPlayerId !== data.playerId) {
-            broadcast(ws, { type: "error", message: "Not your turn" });
+          if (rematchRoom.host !== data.playerId) {
+            sendError(
+              ws,
+              ERROR_CODES.NOT_HOST,
+              "Only host can start a rematch"
+            );
             return;
           }
 
-          const selectResult = selectDiceFace(selectRoom, data.face);
+          if (rematchRoom.tournamentId) {
+            sendError(
+              ws,
+              ERROR_CODES.TOURNAMENT_ROOM,
+              "The tournament decides the next game"
+            );
+            return;
+          }
 
-          if (!selectResult.valid) {
-            broadcast(ws, { type: "error", message: selectResult.error });
+          if (rematchRoom.status !== "finished") {
+            sendError(
+              ws,
+              ERROR_CODES.GAME_NOT_FINISHED,
+              "Game is not finished"
+            );
             return;
           }
 
-          broadcastToRoom(data.roomId, {
-            type: "face_selected",
-            playerId: data.playerId,
-            face: data.face,
-            count: selectResult.count,
-            value: selectResult.value,
-            gameState: getGameStateForRoom(selectRoom),
+          // Same seats, but the next seat along starts this time
+          const lastStarter = rematchRoom.game.startingOrder[0];
+          rematchRoom.startIndex =
+            (rematchRoom.players.indexOf(lastStarter) + 1) %
+            rematchRoom.players.length;
+          rematchRoom.status = "waiting";
+          rematchRoom.game = null;
+          rematchRoom.timeouts = {};
+
+          broadcastToRoom(rematchRoom.id, {
+            type: "rematch",
+            room: getRoomSummary(rematchRoom),
           });
+          postSystemMessage(rematchRoom, "The host started a rematch");
+          broadcastRoomsList();
           break;
 
-        case "select_tile":
-          const stopRoomSelect = rooms.get(data.roomId);
+        case "list_tournaments":
+          broadcast(ws, {
+            type: "tournaments_list",
+            tournaments: getTournamentsList(),
+          });
+          break;
 
-          if (!stopRoomSelect || !stopRoomSelect.game) {
-            broadcast(ws, { type: "error", message: "Game not found" });
+        case "get_tournament":
+          const tournamentResults = findTournament(data.tournamentId);
+
+          if (!tournamentResults) {
+            sendError(
+              ws,
+              ERROR_CODES.TOURNAMENT_NOT_FOUND,
+              "Tournament not found"
+            );
             return;
           }
 
-          if (stopRoomSelect.game.currentPlayerId !== data.playerId) {
-            broadcast(ws, { type: "error", message: "Not your turn" });
+          broadcast(ws, {
+            type: "tournament_results",
+            tournament: tournamentResults,
+          });
+          break;
+
+        case "create_tournament":
+          const settingsResult =
+            tournamentRules.resolveTournamentSettings(data);
+
+          if (!settingsResult.valid) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_TOURNAMENT_SETTINGS,
+              settingsResult.error
+            );
             return;
           }
 
-          const turnResultSelect = endPlayerTurn(
-            stopRoomSelect,
-            data.tile,
-            data.playerId
+          const newTournament = tournamentRules.createTournament(
+            uuidv4(),
+            players.get(data.playerId),
+            settingsResult.settings
           );
+          tournaments.set(newTournament.id, newTournament);
+          logger.info("Tournament created", {
+            tournamentId: newTournament.id,
+            playerId: data.playerId,
+          });
 
-          broadcastToRoom(data.roomId, {
-            type: "turn_ended",
-            playerName: players.get(data.playerId)?.name || "Unknown",
-            gameState: getGameStateForRoom(stopRoomSelect),
-            gameOver: turnResultSelect.gameOver,
+          broadcast(ws, {
+            type: "tournament_created",
+            tournament: tournamentRules.getTournamentSummary(newTournament),
           });
+          broadcastTournamentsList();
+          break;
 
-          if (turnResultSelect.gameOver) {
-            const winner = calculateWinner(stopRoomSelect);
-            const gameRecord = {
-              roomName: stopRoomSelect.name,
-              date: new Date().toISOString(),
-              winner: {
-                id: winner.winnerId,
-                name: players.get(winner.winnerId)?.name,
-                worms: winner.worms,
-              },
-              players: stopRoomSelect.players.map((pid) => ({
-                id: pid,
-                name: players.get(pid)?.name,
-                worms: stopRoomSelect.game.playerStacks[pid].reduce(
-                  (sum, t) => sum + t.worms,
-                  0
-                ),
-              })),
-            };
-            gameHistory.push(gameRecord);
-
-            broadcastToRoom(data.roomId, {
-              type: "game_over",
-              winner: gameRecord.winner,
-              finalScores: gameRecord.players,
-            });
+        case "join_tournament":
+          const joinTournament = tournaments.get(data.tournamentId);
+
+          if (!joinTournament) {
+            sendError(
+              ws,
+              ERROR_CODES.TOURNAMENT_NOT_FOUND,
+              "Tournament not found"
+            );
+            return;
+          }
+
+          const entryResult = tournamentRules.addEntrant(
+            joinTournament,
+            players.get(data.playerId)
+          );
 
-            stopRoomSelect.status = "finished";
+          if (!entryResult.valid) {
+            sendError(ws, entryResult.code, entryResult.error);
+            return;
           }
+
+          broadcastToEntrants(joinTournament, {
+            type: "tournament_updated",
+            tournament: tournamentRules.getTournamentSummary(joinTournament),
+          });
+          broadcastTournamentsList();
           break;
-        case "stop_turn":
-          const stopRoom = rooms.get(data.roomId);
 
-          if (!stopRoom || !stopRoom.game) {
-            broadcast(ws, { type: "error", message: "Game not found" });
+        case "leave_tournament":
+          const leftTournament = tournaments.get(data.tournamentId);
+
+          if (!leftTournament) {
+            sendError(
+              ws,
+              ERROR_CODES.TOURNAMENT_NOT_FOUND,
+              "Tournament not found"
+            );
             return;
           }
 
-          if (stopRoom.game.currentPlayerId !== data.playerId) {
-            broadcast(ws, { type: "error", message: "Not your turn" });
+          if (!leftTournament.entrants.some((e) => e.id === data.playerId)) {
+            sendError(
+              ws,
+              ERROR_CODES.NOT_ENTERED,
+              "You are not in this tournament"
+            );
             return;
           }
 
-          const turnResult = endPlayerTurnBust(stopRoom, data.playerId);
+          withdrawEntrant(leftTournament, data.playerId);
+          break;
 
-          broadcastToRoom(data.roomId, {
-            type: "turn_ended",
-            playerName: players.get(data.playerId)?.name || "Unknown",
-            gameState: getGameStateForRoom(stopRoom),
-            gameOver: turnResult.gameOver,
-          });
+        case "start_tournament":
+          const startingTournament = tournaments.get(data.tournamentId);
 
-          if (turnResult.gameOver) {
-            const winner = calculateWinner(stopRoom);
-            const gameRecord = {
-              roomName: stopRoom.name,
-              date: new Date().toISOString(),
-              winner: {
-                id: winner.winnerId,
-                name: players.get(winner.winnerId)?.name,
-                worms: winner.worms,
-              },
-              players: stopRoom.players.map((pid) => ({
-                id: pid,
-                name: players.get(pid)?.name,
-                worms: stopRoom.game.playerStacks[pid].reduce(
-                  (sum, t) => sum + t.worms,
-                  0
-                ),
-              })),
-            };
-            gameHistory.push(gameRecord);
-
-            broadcastToRoom(data.roomId, {
-              type: "game_over",
-              winner: gameRecord.winner,
-              finalScores: gameRecord.players,
-            });
+          if (!startingTournament) {
+            sendError(
+              ws,
+              ERROR_CODES.TOURNAMENT_NOT_FOUND,
+              "Tournament not found"
+            );
+            return;
+          }
 
-            stopRoom.status = "finished";
+          if (startingTournament.organizerId !== data.playerId) {
+            sendError(
+              ws,
+              ERROR_CODES.NOT_HOST,
+              "Only the organiser can start the tournament"
+            );
+            return;
           }
-          break;
 
-        case "claim_tile":
-          // This is not used in current flow - tiles are auto-claimed
-          // Keeping for future expansion
+          if (startingTournament.status !== "registering") {
+            sendError(
+              ws,
+              ERROR_CODES.TOURNAMENT_ALREADY_STARTED,
+              "The tournament has already started"
+            );
+            return;
+          }
+
+          if (
+            startingTournament.entrants.length < tournamentRules.MIN_ENTRANTS
+          ) {
+            sendError(
+              ws,
+              ERROR_CODES.NOT_ENOUGH_PLAYERS,
+              `Need at least ${tournamentRules.MIN_ENTRANTS} entrants`
+            );
+            return;
+          }
+
+          startTournamentRound(startingTournament);
           break;
 
-        case "get_history":
+        case "queue_join":
+          if (findRoomForPlayer(data.playerId)) {
+            sendError(
+              ws,
+              ERROR_CODES.ALREADY_SEATED,
+              "Leave your room before joining the queue"
+            );
+            return;
+          }
+
+          const queueSettings = matchmaking.resolveQueueSettings(data);
+          if (!queueSettings.valid) {
+            sendError(
+              ws,
+              ERROR_CODES.INVALID_QUEUE_SETTINGS,
+              queueSettings.error
+            );
+            return;
+          }
+
+          const queued = matchmaking.addToQueue(
+            matchQueue,
+            data.playerId,
+            queueSettings.settings,
+            Date.now()
+          );
+          if (!queued.valid) {
+            sendError(ws, queued.code, queued.error);
+            return;
+          }
+
           broadcast(ws, {
-            type: "game_history",
-            history: gameHistory,
+            type: "queue_joined",
+            ...matchmaking.getQueueStatus(
+              matchQueue,
+              data.playerId,
+              Date.now(),
+              QUEUE_WAIT_MS
+            ),
           });
+          runMatchmaking();
           break;
 
-        case "leave_room":
-          const leaveRoom = rooms.get(data.roomId);
-          if (leaveRoom) {
-            leaveRoom.players = leaveRoom.players.filter(
-              (pid) => pid !== data.playerId
-            );
-
-            if (leaveRoom.players.length === 0) {
-              rooms.delete(data.roomId);
-            } else {
-              broadcastToRoom(data.roomId, {
-                type: "room_updated",
-                room: {
-                  id: leaveRoom.id,
-                  name: leaveRoom.name,
-                  host: leaveRoom.host,
-                  players: leaveRoom.players.map((pid) => ({
-                    id: pid,
-                    name: players.get(pid)?.name || "Unknown",
-                  })),
-                  status: leaveRoom.status,
-                },
-              });
-            }
+        case "queue_leave":
+          if (!leaveQueue(data.playerId)) {
+            sendError(ws, ERROR_CODES.NOT_QUEUED, "You are not in the queue");
+            return;
           }
+
+          broadcast(ws, { type: "queue_left" });
           break;
       }
     } catch (error) {
-      console.error("Error handling message:", error);
-      broadcast(ws, { type: "error", message: "Server error" });
+      logger.error("Error handling message", {
+        type: data.type,
+        playerId: ws.playerId || null,
+        roomId: data.roomId,
+        error,
+      });
+      sendError(ws, ERROR_CODES.INTERNAL_ERROR, "Server error");
+    } finally {
+      ws.pendingRequestId = undefined;
+      scheduleSnapshot();
+      messageDuration.observe(
+        {
+          type: Object.hasOwn(protocol.CLIENT_MESSAGES, data?.type)
+            ? data.type
+            : "invalid",
+        },
+        Number(process.hrtime.bigint() - startedAt) / 1e9
+      );
     }
   });
 
+  // Oversized or malformed frames end up here; the socket closes itself
+  ws.on("error", (error) => {
+    logger.warn("Socket error", {
+      ip: ws.remoteAddress,
+      playerId: ws.playerId || null,
+      error: error.message,
+    });
+  });
+
   ws.on("close", () => {
-    for (const [playerId, player] of players.entries()) {
-      if (player.ws === ws) {
-        players.delete(playerId);
-
-        for (const [roomId, room] of rooms.entries()) {
-          if (room.players.includes(playerId)) {
-            room.players = room.players.filter((pid) => pid !== playerId);
-
-            if (room.players.length === 0) {
-              rooms.delete(roomId);
-            } else {
-              broadcastToRoom(roomId, {
-                type: "room_updated",
-                room: {
-                  id: room.id,
-                  name: room.name,
-                  host: room.host,
-                  players: room.players.map((pid) => ({
-                    id: pid,
-                    name: players.get(pid)?.name || "Unknown",
-                  })),
-                  status: room.status,
-                },
-              });
-            }
-          }
-        }
-        break;
-      }
-    }
-    console.log("Connection closed");
+    logger.info("Connection closed", { playerId: ws.playerId || null });
+    releaseConnection(ws);
   });
 });
 
+// Drop sockets that stopped answering pings so their seats go into the
+// reconnect grace period instead of hanging around forever.
+const heartbeat = setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (ws.isAlive === false) {
+      ws.terminate();
+      return;
+    }
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, HEARTBEAT_INTERVAL_MS);
+
+wss.on("close", () => clearInterval(heartbeat));
+
+const snapshotInterval = setInterval(saveSnapshot, SNAPSHOT_INTERVAL_MS);
+
+// Tell everyone, write the final snapshot and stop. Clients reconnect on
+// their own and resume once the server is back.
+function shutdown(signal) {
+  logger.info("Shutting down", { signal });
+
+  wss.clients.forEach((client) => {
+    broadcast(client, {
+      type: "server_shutdown",
+      message: "The server is restarting, your game will be restored",
+    });
+  });
+
+  clearInterval(snapshotInterval);
+  saveSnapshot();
+
+  wss.clients.forEach((client) => client.close(1012, "Server restarting"));
+  wss.close();
+  server.close(() => process.exit(0));
+  setTimeout(() => process.exit(0), 5000).unref();
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
+const snapshot = snapshotStore.load();
+if (snapshot) {
+  restoreSnapshot(snapshot);
+}
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  logger.info("Server running", { port: server.address().port });
 });
@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createAdminRouter } = require("../lib/adminRoutes");
+const { createLogger } = require("../lib/logger");
+
+const ROOMS = [{ id: "r1", name: "Private", isPrivate: true }];
+
+async function startApp(t, adminToken) {
+  const app = express();
+  app.use(
+    "/api",
+    createAdminRouter({
+      listRooms: () => ROOMS,
+      getRoomState: (id) => ROOMS.find((room) => room.id === id) || null,
+      adminToken,
+      logger: createLogger({}, () => {}),
+    })
+  );
+
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => server.close());
+  return `http://localhost:${server.address().port}/api`;
+}
+
+test("room views need the admin token", async (t) => {
+  const base = await startApp(t, "secret");
+
+  assert.equal((await fetch(`${base}/rooms`)).status, 401);
+  assert.equal((await fetch(`${base}/rooms/r1`)).status, 401);
+
+  const headers = { authorization: "Bearer secret" };
+  const list = await fetch(`${base}/rooms`, { headers });
+  assert.equal(list.status, 200);
+  assert.deepEqual((await list.json()).rooms, ROOMS);
+  assert.equal((await fetch(`${base}/rooms/r1`, { headers })).status, 200);
+});
+
+test("room views are off when no admin token is configured", async (t) => {
+  const base = await startApp(t, "");
+
+  assert.equal((await fetch(`${base}/rooms`)).status, 503);
+});
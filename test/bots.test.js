@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rules = require("../lib/rules");
+const bots = require("../lib/bots");
+const protocol = require("../lib/protocol");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+test("only the built-in strategies are found", () => {
+  assert.equal(bots.getStrategy("greedy"), bots.STRATEGIES.greedy);
+  assert.equal(bots.getStrategy("constructor"), null);
+  assert.equal(bots.getStrategy("__proto__"), null);
+  assert.equal(bots.getStrategy("toString"), null);
+});
+
+test("add_bot only accepts known difficulties", () => {
+  const message = { type: "add_bot", roomId: "r", difficulty: "expected" };
+
+  assert.equal(protocol.validateClientMessage(message).valid, true);
+  assert.equal(
+    protocol.validateClientMessage({ ...message, difficulty: "constructor" })
+      .valid,
+    false
+  );
+});
+
+// Records the moves playStep asks for; claims succeed only if `claimable`.
+function recordMoves(claimable = false) {
+  const made = [];
+  return {
+    made,
+    moves: {
+      selectFace: (face) => made.push(["selectFace", face]),
+      claimTile: (tile) => {
+        made.push(["claimTile", tile]);
+        return { valid: claimable };
+      },
+      roll: () => made.push(["roll"]),
+      giveUp: () => made.push(["giveUp"]),
+    },
+  };
+}
+
+const stubborn = {
+  chooseFace: () => "nonsense",
+  chooseClaim: () => 99,
+};
+
+test("a bot's face the dice don't show falls back to one they do", () => {
+  const game = rules.createGame(["a", "b"], { seed: 3 });
+  rules.rollDice(game, "a");
+  const { made, moves } = recordMoves();
+  let invalid = 0;
+
+  bots.playStep(game, stubborn, Math.random, moves, () => (invalid += 1));
+
+  const [face] = rules.getAvailableFaces(game.turnState);
+  assert.deepEqual(made, [["selectFace", face]]);
+  assert.equal(invalid, 1);
+});
+
+test("a bot's rejected claim falls back to rolling, then to giving up", () => {
+  const game = rules.createGame(["a", "b"], { seed: 3 });
+  const rolling = recordMoves();
+  let invalid = 0;
+
+  bots.playStep(
+    game,
+    stubborn,
+    Math.random,
+    rolling.moves,
+    () => (invalid += 1)
+  );
+  assert.deepEqual(rolling.made, [["claimTile", 99], ["roll"]]);
+  assert.equal(invalid, 1);
+
+  game.turnState.availableDice = 0;
+  const stuck = recordMoves();
+  bots.playStep(game, stubborn, Math.random, stuck.moves);
+  assert.deepEqual(stuck.made, [["claimTile", 99], ["giveUp"]]);
+});
+
+test("a bot's accepted claim ends the step", () => {
+  const game = rules.createGame(["a", "b"], { seed: 3 });
+  const { made, moves } = recordMoves(true);
+
+  bots.playStep(game, stubborn, Math.random, moves);
+  assert.deepEqual(made, [["claimTile", 99]]);
+});
+
+test("server bots play their turns through to the end of the game", async (t) => {
+  const server = await useServer(t, { env: { BOT_DELAY_MS: "1" } });
+  const host = await connectAs(t, server, "Host");
+  const { roomId } = await host.createRoom("Bots", { ruleset: "quick" });
+  for (const difficulty of ["random", "greedy", "expected"]) {
+    await host.request(
+      "add_bot",
+      { roomId, difficulty },
+      { expect: "room_updated" }
+    );
+  }
+
+  // The host gives up each turn; the bots do the rest
+  const over = nextMessage(host, "game_over", () => true, 20000);
+  let givingUp = false;
+  host.on("*", async () => {
+    if (givingUp || !host.isMyTurn() || host.state.gameOver) return;
+    givingUp = true;
+    await host.stopTurn().catch(() => {});
+    givingUp = false;
+  });
+  await host.startGame();
+
+  const { finalScores } = await over;
+  assert.equal(finalScores.length, 4);
+  const log = await (await fetch(`${server.httpUrl}/api/history`)).json();
+  const [record] = log.games;
+  assert.ok(
+    record.log.some(
+      (event) =>
+        event.type === "claim" && event.playerId !== host.state.playerId
+    )
+  );
+});
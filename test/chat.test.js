@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+async function chatRoom(t, env) {
+  const server = await useServer(t, { env });
+  const host = await connectAs(t, server, "Host");
+  const guest = await connectAs(t, server, "Guest");
+  const { roomId } = await host.createRoom("Chatty");
+  await guest.joinRoom(roomId);
+  return { server, host, guest, roomId };
+}
+
+const say = (client, roomId, text) =>
+  client.request("chat_message", { roomId, text }, { expect: "chat_message" });
+
+const fromPlayer = ({ message }) => !message.system;
+
+test("room chat reaches the room, filtered, and is kept for newcomers", async (t) => {
+  const { server, host, guest, roomId } = await chatRoom(t, {
+    CHAT_FILTER_WORDS: "darn",
+  });
+
+  const heard = nextMessage(host, "chat_message", fromPlayer);
+  await say(guest, roomId, "  well darn it  ");
+  const { message } = await heard;
+  assert.equal(message.text, "well d*** it");
+  assert.equal(message.channel, roomId);
+  assert.deepEqual(message.from, {
+    id: guest.state.playerId,
+    name: "Guest",
+  });
+
+  const late = await connectAs(t, server, "Late");
+  const history = nextMessage(
+    late,
+    "chat_history",
+    ({ channel }) => channel === roomId
+  );
+  await late.joinRoom(roomId);
+  const { messages } = await history;
+  assert.ok(messages.some((kept) => kept.id === message.id));
+});
+
+test("a muted player can't chat until the host unmutes them", async (t) => {
+  const { host, guest, roomId } = await chatRoom(t);
+  const targetId = guest.state.playerId;
+
+  await assert.rejects(
+    guest.request(
+      "mute_player",
+      { roomId, targetId: host.state.playerId },
+      { expect: "never" }
+    ),
+    { code: "NOT_HOST" }
+  );
+
+  const muted = nextMessage(guest, "room_updated", ({ room }) =>
+    room.muted.includes(targetId)
+  );
+  host.send("mute_player", { roomId, targetId });
+  await muted;
+  await assert.rejects(say(guest, roomId, "hello?"), { code: "MUTED" });
+
+  const unmuted = nextMessage(
+    guest,
+    "room_updated",
+    ({ room }) => room.muted.length === 0
+  );
+  host.send("mute_player", { roomId, targetId, muted: false });
+  await unmuted;
+  await say(guest, roomId, "hello!");
+});
+
+test("a kicked player is removed and can't come back", async (t) => {
+  const { host, guest, roomId } = await chatRoom(t);
+
+  const kicked = nextMessage(guest, "kicked");
+  const gone = nextMessage(host, "room_updated", ({ room }) =>
+    room.players.every((player) => player.id !== guest.state.playerId)
+  );
+  host.send("kick_player", { roomId, targetId: guest.state.playerId });
+  assert.equal((await kicked).roomId, roomId);
+  await gone;
+  assert.equal(guest.state.room, null);
+
+  await assert.rejects(guest.joinRoom(roomId), { code: "KICKED_FROM_ROOM" });
+  await assert.rejects(guest.request("spectate_room", { roomId }), {
+    code: "KICKED_FROM_ROOM",
+  });
+});
+
+test("chatting too fast is rate limited", async (t) => {
+  const { guest, roomId } = await chatRoom(t, { CHAT_RATE_LIMIT: "2" });
+
+  await say(guest, roomId, "one");
+  await say(guest, roomId, "two");
+  await assert.rejects(say(guest, roomId, "three"), { code: "RATE_LIMITED" });
+});
+
+test("lobby chat only reaches players outside a room", async (t) => {
+  const { server, host } = await chatRoom(t);
+  const lounger = await connectAs(t, server, "Lounger");
+  const other = await connectAs(t, server, "Other");
+
+  const types = [];
+  host.on("chat_message", ({ message }) => types.push(message.channel));
+  const heard = nextMessage(other, "chat_message");
+  await say(lounger, null, "anyone around?");
+  assert.equal((await heard).message.channel, "lobby");
+
+  // Replies come in order, so a forwarded message would already be here
+  await host.listRooms();
+  assert.ok(!types.includes("lobby"));
+});
@@ -0,0 +1,167 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  startServer,
+  useServer,
+  connect,
+  connectAs,
+  nextMessage,
+} = require("./support/server");
+
+const FILE_NOTIFIER = { env: { NOTIFIER: "file" } };
+
+// A started correspondence game, hosted (and so begun) by `host`.
+async function startCorrespondence(name, host, guest, hours = 1) {
+  const { roomId } = await host.createRoom(name, {
+    mode: "correspondence",
+    turnDeadlineHours: hours,
+  });
+  await guest.joinRoom(roomId);
+  await host.openGame(roomId);
+  await host.startGame();
+  return roomId;
+}
+
+function readNotifications(server) {
+  const file = path.join(server.dir, "notifications.jsonl");
+  if (!fs.existsSync(file)) return [];
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+test("the inbox lists games on your turn first, then by deadline", async (t) => {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+
+  const waiting = (
+    await alice.createRoom("Waiting", { mode: "correspondence" })
+  ).roomId;
+  const later = await startCorrespondence("Later", bob, alice, 48);
+  const sooner = await startCorrespondence("Sooner", bob, alice, 2);
+  const mine = await startCorrespondence("Mine", alice, bob, 72);
+
+  const { games } = await alice.getInbox();
+  assert.deepEqual(
+    games.map((game) => game.roomId),
+    [mine, sooner, later, waiting]
+  );
+  assert.deepEqual(
+    games.map((game) => game.yourTurn),
+    [true, false, false, false]
+  );
+  assert.equal(games[1].currentPlayerName, "Bob");
+  assert.equal(games[3].deadline, null);
+});
+
+test("only the open game's updates reach the connection", async (t) => {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+  const roomId = await startCorrespondence("Open", bob, alice);
+
+  const opened = await alice.openGame(roomId);
+  assert.equal(opened.room.id, roomId);
+  assert.equal(opened.gameState.currentPlayerId, bob.state.playerId);
+
+  const seen = nextMessage(alice, "dice_rolled");
+  await bob.rollDice();
+  await seen;
+
+  const types = [];
+  alice.on("*", (message) => types.push(message.type));
+  alice.closeGame();
+  await alice.getInbox();
+  await bob.selectFace(bob.state.lastRoll.availableFaces[0]);
+  // Replies come in order, so anything from the room would be here by now
+  await alice.getInbox();
+  assert.deepEqual(types, ["inbox", "inbox"]);
+});
+
+test("a deadline that passes with nobody connected moves the game on", async (t) => {
+  const first = startServer(FILE_NOTIFIER);
+  t.after(() => first.stop());
+  await first.ready;
+  const alice = await connectAs(t, first, "Alice");
+  const bob = await connectAs(t, first, "Bob");
+  const roomId = await startCorrespondence("Overnight", alice, bob);
+
+  // The notifier is told whose turn it is as soon as the game starts
+  await waitFor(() => readNotifications(first).length === 1);
+  const [started] = readNotifications(first);
+  assert.equal(started.type, "your_turn");
+  assert.equal(started.playerId, alice.state.playerId);
+  assert.equal(started.roomId, roomId);
+  assert.ok(Date.parse(started.deadline) > Date.now());
+
+  const bobToken = bob.state.token;
+  alice.close();
+  bob.close();
+  await first.stop({ keepFiles: true });
+
+  // Wind the clock forward: the deadline ran out while the server was down
+  const snapshotFile = path.join(first.dir, "snapshot.json");
+  const snapshot = JSON.parse(fs.readFileSync(snapshotFile, "utf8"));
+  snapshot.rooms.find((room) => room.id === roomId).turnDeadline.deadline =
+    Date.now() - 1000;
+  fs.writeFileSync(snapshotFile, JSON.stringify(snapshot));
+
+  const second = startServer({ ...FILE_NOTIFIER, dir: first.dir });
+  t.after(() => second.stop());
+  await second.ready;
+
+  await waitFor(() => readNotifications(second).length === 2);
+  const next = readNotifications(second)[1];
+  assert.equal(next.playerId, bob.state.playerId);
+  assert.equal(next.roomId, roomId);
+
+  const returning = await connect(t, second);
+  await returning.resume(bobToken);
+  const { games } = await returning.getInbox();
+  assert.equal(games[0].roomId, roomId);
+  assert.equal(games[0].yourTurn, true);
+});
+
+test("a tournament table keeps the entrants' correspondence seats", async (t) => {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+  const roomId = await startCorrespondence("Alongside", alice, bob);
+
+  const { tournament } = await alice.request(
+    "create_tournament",
+    { name: "Cup", rounds: 1 },
+    { expect: "tournament_created" }
+  );
+  await bob.request(
+    "join_tournament",
+    { tournamentId: tournament.id },
+    { expect: "tournament_updated" }
+  );
+  await alice.request(
+    "start_tournament",
+    { tournamentId: tournament.id },
+    { expect: "tournament_round" }
+  );
+
+  for (const player of [alice, bob]) {
+    const { games } = await player.getInbox();
+    assert.deepEqual(
+      games.map((game) => game.roomId),
+      [roomId]
+    );
+  }
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const path = require("path");
+const { createGameClient } = require("../client/gameClient");
+const {
+  useServer,
+  startServer,
+  connectAs,
+  nextMessage,
+} = require("./support/server");
+
+// Pipes `lines` into the terminal client and collects what it prints.
+function runTerminal(server, lines) {
+  const child = spawn(
+    process.execPath,
+    [path.join(__dirname, "..", "client", "terminal.js"), server.url],
+    { stdio: ["pipe", "pipe", "pipe"] }
+  );
+  let output = "";
+  child.stdout.on("data", (chunk) => (output += chunk));
+  child.stdin.end(lines.map((line) => `${line}\n`).join(""));
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`The terminal client didn't exit:\n${output}`));
+    }, 5000);
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      resolve({ code, output });
+    });
+  });
+}
+
+test("messages are checked before they're sent", () => {
+  const client = createGameClient();
+
+  assert.throws(() => client.on("no_such_message", () => {}), /Unknown/);
+  assert.throws(() => client.send("roll_dice", { roomId: 7 }), {
+    code: "INVALID_MESSAGE",
+  });
+});
+
+test("requests reject with the server's error code", async (t) => {
+  const server = await useServer(t);
+  const client = await connectAs(t, server, "Alice");
+
+  await assert.rejects(client.joinRoom("no-such-room"), {
+    code: "ROOM_NOT_FOUND",
+  });
+});
+
+test("the client's state follows the game", async (t) => {
+  const server = await useServer(t);
+  const host = await connectAs(t, server, "Host");
+  const guest = await connectAs(t, server, "Guest");
+  const { roomId } = await host.createRoom("Tracked", {
+    ruleset: { tileRange: { min: 21, max: 21 } },
+  });
+  await guest.joinRoom(roomId);
+  assert.equal(host.state.room.players.length, 2);
+
+  await host.startGame();
+  assert.equal(host.isMyTurn(), true);
+  assert.equal(guest.isMyTurn(), false);
+
+  const roll = await host.rollDice();
+  assert.equal(host.state.lastRoll, roll);
+  await host.selectFace(roll.availableFaces[0]);
+  assert.equal(host.state.lastRoll, null);
+
+  const over = nextMessage(guest, "game_over");
+  await host.stopTurn();
+  await over;
+  assert.equal(guest.state.gameOver.gameId, guest.state.game.gameId);
+
+  await host.request("rematch", { roomId });
+  assert.equal(host.state.game, null);
+  assert.equal(host.state.gameOver, null);
+  assert.equal(host.state.room.status, "waiting");
+});
+
+test("an unanswered request fails when the connection drops or times out", async (t) => {
+  const server = startServer();
+  t.after(() => server.stop());
+  await server.ready;
+
+  // Blank chat is dropped without a reply
+  const slow = createGameClient({ url: server.url, timeoutMs: 500 });
+  await slow.connect();
+  t.after(() => slow.close());
+  await slow.register("Slow");
+  await assert.rejects(
+    slow.request("chat_message", { text: " " }, { expect: "never" }),
+    /No reply to chat_message within 500ms/
+  );
+
+  const client = await connectAs(t, server, "Dropped");
+  const pending = client.request(
+    "chat_message",
+    { text: " " },
+    { expect: "never" }
+  );
+  const dropped = assert.rejects(pending, /Connection closed/);
+  await server.stop();
+  await dropped;
+});
+
+test("the terminal client plays from piped commands", async (t) => {
+  const server = await useServer(t);
+  const watcher = await connectAs(t, server, "Watcher");
+
+  const { code, output } = await runTerminal(server, [
+    "Alice",
+    "create Den",
+    "dance",
+    "say hello",
+    "rooms",
+  ]);
+  assert.equal(code, 0);
+  assert.match(output, /Welcome, Alice!/);
+  assert.match(output, /Room "Den" \(waiting\)/);
+  assert.match(output, /Unknown command "dance"/);
+  assert.match(output, /Alice: hello/);
+  assert.match(output, /Den {2}1\/\d+ {2}waiting/);
+
+  // The room really is on the server, held for Alice to come back to
+  const { rooms } = await watcher.listRooms();
+  assert.deepEqual(
+    rooms.map((room) => [room.name, room.playerCount]),
+    [["Den", 1]]
+  );
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+// One tile on the grill: the first bust turns it over and ends the game.
+async function finishedGame(t) {
+  const server = await useServer(t);
+  const host = await connectAs(t, server, "Host");
+  const guest = await connectAs(t, server, "Guest");
+
+  const { roomId } = await host.createRoom("Short", {
+    ruleset: { tileRange: { min: 21, max: 21 } },
+  });
+  await guest.joinRoom(roomId);
+  await host.startGame();
+
+  const gameOvers = [];
+  guest.on("game_over", (message) => gameOvers.push(message));
+  const over = nextMessage(guest, "game_over");
+  await host.stopTurn();
+  await over;
+
+  return { server, host, roomId, gameOvers };
+}
+
+test("moves after game_over are rejected", async (t) => {
+  const { server, host, roomId, gameOvers } = await finishedGame(t);
+
+  for (const [type, payload] of [
+    ["stop_turn", {}],
+    ["roll_dice", {}],
+    ["select_face", { face: "worm" }],
+    ["select_tile", { tile: 21 }],
+  ]) {
+    await assert.rejects(
+      host.request(type, { roomId, ...payload }, { expect: "never" }),
+      { code: "GAME_OVER" },
+      type
+    );
+  }
+
+  assert.equal(gameOvers.length, 1);
+  const { games } = await (await fetch(`${server.httpUrl}/api/history`)).json();
+  assert.equal(games.length, 1);
+  assert.equal(games[0].id, gameOvers[0].gameId);
+});
+
+test("the stored record doesn't change after the game", async (t) => {
+  const { server, host, roomId, gameOvers } = await finishedGame(t);
+  const recordUrl = `${server.httpUrl}/api/history/${gameOvers[0].gameId}`;
+  const before = await (await fetch(recordUrl)).json();
+
+  await assert.rejects(
+    host.request("roll_dice", { roomId }, { expect: "never" }),
+    { code: "GAME_OVER" }
+  );
+
+  assert.deepEqual(await (await fetch(recordUrl)).json(), before);
+  const replay = await fetch(`${server.httpUrl}/api/games/${before.id}/replay`);
+  assert.equal(replay.status, 200);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+// One tile on the grill, so the host's first bust ends the game.
+async function playShortGame(host, guest, roomName) {
+  const { roomId } = await host.createRoom(roomName, {
+    ruleset: { tileRange: { min: 21, max: 21 } },
+  });
+  await guest.joinRoom(roomId);
+  await host.startGame();
+  const over = nextMessage(guest, "game_over");
+  await host.stopTurn();
+  await over;
+  host.leaveRoom();
+  guest.leaveRoom();
+}
+
+// Three finished games: Alice and Bob, Alice and Carol, then Bob and Carol.
+async function serverWithHistory(t) {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+  const carol = await connectAs(t, server, "Carol");
+
+  await playShortGame(alice, bob, "First");
+  await playShortGame(alice, carol, "Second");
+  await playShortGame(bob, carol, "Third");
+
+  const get = async (query) => {
+    const response = await fetch(`${server.httpUrl}/api/history${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+  return { server, alice, bob, carol, get };
+}
+
+const roomNames = (games) => games.map((game) => game.roomName);
+
+test("history pages newest first with a cursor", async (t) => {
+  const { get } = await serverWithHistory(t);
+
+  const first = await get("?limit=2");
+  assert.deepEqual(roomNames(first.body.games), ["Third", "Second"]);
+  assert.ok(first.body.nextCursor);
+
+  const second = await get(`?limit=2&cursor=${first.body.nextCursor}`);
+  assert.deepEqual(roomNames(second.body.games), ["First"]);
+  assert.equal(second.body.nextCursor, null);
+
+  const [newest] = first.body.games;
+  const record = await get(`/${newest.id}`);
+  assert.equal(record.status, 200);
+  assert.ok(record.body.log.length > 0);
+  assert.equal((await get("/no-such-game")).status, 404);
+});
+
+test("history filters by player and by date", async (t) => {
+  const { carol, get } = await serverWithHistory(t);
+
+  const byName = await get("?player=ALICE");
+  assert.deepEqual(roomNames(byName.body.games), ["Second", "First"]);
+
+  const byId = await get(`?player=${carol.state.playerId}`);
+  assert.deepEqual(roomNames(byId.body.games), ["Third", "Second"]);
+
+  const future = new Date(Date.now() + 60000).toISOString();
+  assert.deepEqual((await get(`?from=${future}`)).body.games, []);
+  assert.equal((await get(`?to=${future}`)).body.games.length, 3);
+});
+
+test("malformed history queries are a 400, not a server error", async (t) => {
+  const { get } = await serverWithHistory(t);
+
+  for (const query of [
+    "?player=alice&player=bob",
+    "?player[name]=alice",
+    "?limit=1&limit=2",
+    "?from=yesterday",
+    "?cursor=unknown",
+    "/tournaments?player=alice&player=bob",
+  ]) {
+    const { status, body } = await get(query);
+    assert.equal(status, 400, query);
+    assert.equal(body.code, "INVALID_QUERY", query);
+  }
+
+  assert.equal((await get("")).body.games.length, 3);
+});
+
+test("history can be asked for over the socket too", async (t) => {
+  const { bob } = await serverWithHistory(t);
+
+  const { history } = await bob.request(
+    "get_history",
+    { player: "carol", limit: 1 },
+    { expect: "game_history" }
+  );
+  assert.deepEqual(roomNames(history), ["Third"]);
+});
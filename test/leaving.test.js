@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+async function seatedRoom(t, names, options) {
+  const server = await useServer(t);
+  const clients = [];
+  for (const name of names) clients.push(await connectAs(t, server, name));
+  const [host, ...guests] = clients;
+  const { roomId } = await host.createRoom("Leavers", options);
+  for (const guest of guests) await guest.joinRoom(roomId);
+  return { server, clients, roomId };
+}
+
+test("a player who leaves mid-game is dropped and the game goes on", async (t) => {
+  const { clients } = await seatedRoom(t, ["Host", "Guest", "Third"]);
+  const [host, guest, third] = clients;
+  await host.startGame();
+
+  const left = nextMessage(host, "player_left_game");
+  guest.leaveRoom();
+  const message = await left;
+  assert.equal(message.playerId, guest.state.playerId);
+  assert.equal(message.playerName, "Guest");
+
+  // The host's turn ends and the seat after the leaver plays next
+  await host.stopTurn();
+  assert.equal(host.state.game.currentPlayerId, third.state.playerId);
+  const seat = host.state.game.players.find(
+    (player) => player.id === guest.state.playerId
+  );
+  assert.equal(seat.left, true);
+});
+
+test("the game ends when too few players are left", async (t) => {
+  const { clients } = await seatedRoom(t, ["Host", "Guest"]);
+  const [host, guest] = clients;
+  await host.startGame();
+
+  const over = nextMessage(host, "game_over");
+  guest.leaveRoom();
+  const { finalScores } = await over;
+  const leftBy = Object.fromEntries(
+    finalScores.map((score) => [score.id, score.left])
+  );
+  assert.deepEqual(leftBy, {
+    [host.state.playerId]: false,
+    [guest.state.playerId]: true,
+  });
+});
+
+test("the host's role passes on when they leave", async (t) => {
+  const { clients, roomId } = await seatedRoom(t, ["Host", "Guest"]);
+  const [host, guest] = clients;
+
+  const migrated = nextMessage(
+    guest,
+    "room_updated",
+    ({ room }) => room.host === guest.state.playerId
+  );
+  host.leaveRoom();
+  const { room } = await migrated;
+  assert.equal(room.id, roomId);
+  assert.deepEqual(
+    room.players.map((player) => player.id),
+    [guest.state.playerId]
+  );
+
+  // Past the host check now, so only the missing target stops them
+  await assert.rejects(
+    guest.request(
+      "kick_player",
+      { roomId, targetId: "nobody" },
+      { expect: "never" }
+    ),
+    { code: "PLAYER_NOT_FOUND" }
+  );
+});
+
+test("the host can start a rematch once the game is over", async (t) => {
+  const { clients, roomId } = await seatedRoom(t, ["Host", "Guest"], {
+    ruleset: { tileRange: { min: 21, max: 21 } },
+  });
+  const [host, guest] = clients;
+  await host.startGame();
+
+  await assert.rejects(host.request("rematch", { roomId }), {
+    code: "GAME_NOT_FINISHED",
+  });
+
+  const over = nextMessage(guest, "game_over");
+  await host.stopTurn();
+  await over;
+
+  await assert.rejects(guest.request("rematch", { roomId }), {
+    code: "NOT_HOST",
+  });
+  const { room } = await host.request("rematch", { roomId });
+  assert.equal(room.status, "waiting");
+
+  // Same seats, and the other player starts this time
+  const { game } = await host.startGame();
+  assert.equal(game.currentPlayerId, guest.state.playerId);
+});
@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const matchmaking = require("../lib/matchmaking");
+
+const WAIT_MS = 30000;
+
+// Queues each [playerId, settings, joinedAt] in turn.
+function queueOf(entries) {
+  const queue = matchmaking.createQueue();
+  entries.forEach(([playerId, input, joinedAt]) => {
+    const { settings } = matchmaking.resolveQueueSettings(input);
+    assert.equal(
+      matchmaking.addToQueue(queue, playerId, settings, joinedAt).valid,
+      true
+    );
+  });
+  return queue;
+}
+
+const waiting = (queue) => queue.entries.map((entry) => entry.playerId);
+
+test("settings default to 2-4 players on the standard rules", () => {
+  const { settings } = matchmaking.resolveQueueSettings({});
+  assert.equal(settings.minPlayers, 2);
+  assert.equal(settings.maxPlayers, 4);
+  assert.equal(settings.ruleset.name, "standard");
+
+  assert.equal(
+    matchmaking.resolveQueueSettings({ minPlayers: 5 }).settings.maxPlayers,
+    5
+  );
+  assert.equal(
+    matchmaking.resolveQueueSettings({ minPlayers: 1 }).valid,
+    false
+  );
+  assert.equal(
+    matchmaking.resolveQueueSettings({ minPlayers: 4, maxPlayers: 3 }).valid,
+    false
+  );
+  assert.equal(
+    matchmaking.resolveQueueSettings({ ruleset: "nope" }).valid,
+    false
+  );
+});
+
+test("a player can only queue once", () => {
+  const queue = queueOf([["a", {}, 0]]);
+  const { settings } = matchmaking.resolveQueueSettings({});
+  const again = matchmaking.addToQueue(queue, "a", settings, 1);
+  assert.equal(again.code, "ALREADY_QUEUED");
+
+  assert.equal(matchmaking.removeFromQueue(queue, "a"), true);
+  assert.equal(matchmaking.removeFromQueue(queue, "a"), false);
+});
+
+test("players are only grouped with others on the same rules", () => {
+  const pair = { maxPlayers: 2 };
+  const queue = queueOf([
+    ["a", pair, 0],
+    ["b", { ...pair, ruleset: "quick" }, 1],
+    ["c", pair, 2],
+    ["d", { ...pair, ruleset: "quick" }, 3],
+  ]);
+
+  const matches = matchmaking.takeMatches(queue, 3, WAIT_MS);
+  assert.deepEqual(
+    matches.map((match) => [match.playerIds, match.ruleset.name]),
+    [
+      [["a", "c"], "standard"],
+      [["b", "d"], "quick"],
+    ]
+  );
+  assert.deepEqual(waiting(queue), []);
+});
+
+test("players are only grouped when a table size suits them all", () => {
+  const queue = queueOf([
+    ["pair", { maxPlayers: 2 }, 0],
+    ["four", { minPlayers: 4, maxPlayers: 4 }, 1],
+    ["any", {}, 2],
+    ["three", { minPlayers: 3 }, 3],
+    ["big", { minPlayers: 3, maxPlayers: 7 }, 4],
+  ]);
+
+  // pair + any is full at two; four, three and big fill a table of four
+  // only with a fourth player, so they wait.
+  const matches = matchmaking.takeMatches(queue, 4, WAIT_MS);
+  assert.deepEqual(
+    matches.map((match) => match.playerIds),
+    [["pair", "any"]]
+  );
+  assert.deepEqual(waiting(queue), ["four", "three", "big"]);
+});
+
+test("a group that isn't full starts once its oldest player's wait runs out", () => {
+  const queue = queueOf([
+    ["a", {}, 0],
+    ["b", {}, 1000],
+    ["lonely", { ruleset: "quick" }, 500],
+  ]);
+
+  assert.deepEqual(matchmaking.takeMatches(queue, WAIT_MS - 1, WAIT_MS), []);
+  assert.equal(matchmaking.nextDeadline(queue, WAIT_MS - 1, WAIT_MS), WAIT_MS);
+
+  const matches = matchmaking.takeMatches(queue, WAIT_MS, WAIT_MS);
+  assert.deepEqual(
+    matches.map((match) => match.playerIds),
+    [["a", "b"]]
+  );
+  // Not enough players on the quick rules, however long the wait
+  assert.deepEqual(matchmaking.takeMatches(queue, WAIT_MS * 10, WAIT_MS), []);
+  assert.deepEqual(waiting(queue), ["lonely"]);
+  assert.equal(matchmaking.nextDeadline(queue, WAIT_MS * 10, WAIT_MS), null);
+});
+
+test("the status counts position and players among compatible entries", () => {
+  const queue = queueOf([
+    ["a", { minPlayers: 3 }, 0],
+    ["x", { ruleset: "quick" }, 1000],
+    ["b", { minPlayers: 3 }, 2000],
+  ]);
+
+  const status = matchmaking.getQueueStatus(queue, "b", 5000, WAIT_MS);
+  assert.equal(status.position, 2);
+  assert.equal(status.playersWaiting, 2);
+  assert.equal(status.minPlayers, 3);
+  assert.equal(status.ruleset, "standard");
+  assert.equal(status.waitedMs, 3000);
+  // One player short and nobody matched yet, so no estimate
+  assert.equal(status.expectedWaitMs, null);
+
+  assert.equal(matchmaking.getQueueStatus(queue, "nobody", 0, WAIT_MS), null);
+});
+
+test("the expected wait counts down to the oldest compatible player's deadline", () => {
+  const queue = queueOf([
+    ["a", {}, 0],
+    ["b", {}, 10000],
+  ]);
+
+  const status = matchmaking.getQueueStatus(queue, "b", 12000, WAIT_MS);
+  assert.equal(status.expectedWaitMs, WAIT_MS - 12000);
+});
+
+test("without a group the expected wait is the recent average", () => {
+  const queue = queueOf([
+    ["a", { maxPlayers: 2 }, 0],
+    ["b", { maxPlayers: 2 }, 2000],
+  ]);
+  // Waits of 6s and 4s
+  matchmaking.takeMatches(queue, 6000, WAIT_MS);
+  matchmaking.addToQueue(
+    queue,
+    "c",
+    matchmaking.resolveQueueSettings({}).settings,
+    7000
+  );
+
+  const status = matchmaking.getQueueStatus(queue, "c", 8000, WAIT_MS);
+  assert.equal(status.expectedWaitMs, 4000);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rules = require("../lib/rules");
+const { getTurnOdds, createOddsWorker } = require("../lib/odds");
+
+// `playerId` to move with `dice` dice left after setting `selectedFaces`
+// aside for `score`, and only grill tiles from `lowestTile` up.
+function gameAt({ dice, selectedFaces, score, lowestTile = 21 }) {
+  const game = rules.createGame(["a", "b"], { seed: 1 });
+  game.tiles = game.tiles.filter((tile) => tile.number >= lowestTile);
+  Object.assign(game.turnState, {
+    availableDice: dice,
+    selectedFaces,
+    currentScore: score,
+    hasWorm: selectedFaces.includes("worm"),
+  });
+  return game;
+}
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-12,
+    `expected ${expected}, got ${actual}`
+  );
+
+test("one die left with one face open", () => {
+  // Only a 1 keeps the turn alive: 24 + 1 takes tile 25 (two worms).
+  const game = gameAt({
+    dice: 1,
+    selectedFaces: ["worm", "5", "4", "3", "2"],
+    score: 24,
+  });
+
+  const odds = getTurnOdds(game, "a");
+
+  close(odds.bustChance, 5 / 6);
+  close(odds.claimChance, 1 / 6);
+  close(odds.rollValue, 2 / 6);
+  assert.equal(odds.stopValue, 1);
+  assert.equal(odds.advice, "stop");
+});
+
+test("a bust on the roll counts the top tile as lost", () => {
+  const game = gameAt({
+    dice: 1,
+    selectedFaces: ["worm", "5", "4", "3", "2"],
+    score: 24,
+  });
+  game.playerStacks.a = [{ number: 36, worms: 4 }];
+
+  const odds = getTurnOdds(game, "a");
+
+  assert.equal(odds.atRisk, 4);
+  close(odds.rollValue, (1 / 6) * 2 - (5 / 6) * 4);
+});
+
+test("two dice with two faces open, nothing to take yet", () => {
+  // 25 set aside and the grill starts at 27. Busting takes both dice on
+  // taken faces (16/36). A 2 reaches 27 straight away; a lone 1 leaves one
+  // die that needs a 2 (1/6): 12/36 + 8/36 * 1/6 = 10/27.
+  const game = gameAt({
+    dice: 2,
+    selectedFaces: ["worm", "5", "4", "3"],
+    score: 25,
+    lowestTile: 27,
+  });
+
+  const odds = getTurnOdds(game, "a");
+
+  close(odds.bustChance, 16 / 36);
+  close(odds.claimChance, 10 / 27);
+  assert.equal(odds.stopValue, null);
+  assert.equal(odds.advice, "roll");
+});
+
+test("no dice left means stopping", () => {
+  const game = gameAt({
+    dice: 0,
+    selectedFaces: ["worm", "5", "4", "3", "2", "1"],
+    score: 30,
+  });
+
+  const odds = getTurnOdds(game, "a");
+
+  assert.equal(odds.bustChance, null);
+  assert.equal(odds.stopValue, 3);
+  assert.equal(odds.advice, "stop");
+});
+
+test("the worker thread gives the same odds", async (t) => {
+  const worker = createOddsWorker();
+  t.after(() => worker.close());
+  const game = gameAt({ dice: 4, selectedFaces: ["worm", "5"], score: 15 });
+
+  assert.deepEqual(await worker.getTurnOdds(game, "a"), getTurnOdds(game, "a"));
+});
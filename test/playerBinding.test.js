@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connect, connectAs } = require("./support/server");
+
+// The forged messages, each claiming to come from `playerId`.
+function forgedMessages(roomId, playerId, targetId) {
+  return [
+    { type: "start_game", roomId, playerId },
+    { type: "add_bot", roomId, playerId, difficulty: "greedy" },
+    { type: "roll_dice", roomId, playerId },
+    { type: "select_face", roomId, playerId, face: "worm" },
+    { type: "select_tile", roomId, playerId, tile: 21 },
+    { type: "stop_turn", roomId, playerId },
+    { type: "kick_player", roomId, playerId, targetId },
+    { type: "mute_player", roomId, playerId, targetId },
+    { type: "chat_message", roomId, playerId, text: "hi" },
+    { type: "leave_room", roomId, playerId },
+    { type: "rematch", roomId, playerId },
+    { type: "open_game", roomId, playerId },
+  ];
+}
+
+test("action messages with someone else's playerId are rejected", async (t) => {
+  const server = await useServer(t);
+  const host = await connectAs(t, server, "Host");
+  const guest = await connectAs(t, server, "Guest");
+
+  const { roomId } = await host.createRoom("Binding");
+  await guest.joinRoom(roomId);
+  await host.startGame();
+  assert.equal(host.state.game.currentPlayerId, host.state.playerId);
+
+  const seen = [];
+  // The lobby listing can still trail in from the game start.
+  host.on("*", (message) => {
+    if (message.type !== "rooms_list") seen.push(message.type);
+  });
+
+  for (const message of forgedMessages(
+    roomId,
+    host.state.playerId,
+    host.state.playerId
+  )) {
+    const { type, ...payload } = message;
+    await assert.rejects(
+      guest.request(type, payload, { expect: "never" }),
+      { code: "PLAYER_MISMATCH" },
+      type
+    );
+  }
+
+  // Nothing reached the game or the room on the host's behalf.
+  assert.deepEqual(seen, []);
+  const rolled = await host.request("roll_dice", {
+    roomId,
+    playerId: host.state.playerId,
+  });
+  assert.equal(rolled.type, "dice_rolled");
+});
+
+test("a connection that hasn't registered can't claim a playerId", async (t) => {
+  const server = await useServer(t);
+  const host = await connectAs(t, server, "Host");
+  const { roomId } = await host.createRoom("Binding");
+  const stranger = await connect(t, server);
+
+  for (const message of forgedMessages(roomId, host.state.playerId, "x")) {
+    const { type, ...payload } = message;
+    await assert.rejects(
+      stranger.request(type, payload, { expect: "never" }),
+      { code: "PLAYER_MISMATCH" },
+      type
+    );
+  }
+});
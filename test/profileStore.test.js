@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createProfileStore } = require("../lib/profileStore");
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "worms-profiles-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "profiles.json");
+}
+
+test("the first claim of a name hands out its secret", (t) => {
+  const store = createProfileStore(tempFile(t));
+
+  const first = store.claim("Alice");
+  assert.equal(first.valid, true);
+  assert.equal(typeof first.secret, "string");
+
+  const again = store.claim(" alice ", first.secret);
+  assert.equal(again.valid, true);
+  assert.equal(again.profile.id, first.profile.id);
+  assert.equal(again.secret, null);
+});
+
+test("a name can't be claimed without its secret", (t) => {
+  const store = createProfileStore(tempFile(t));
+  store.claim("Alice");
+
+  for (const secret of [undefined, "", "wrong", "00"]) {
+    const result = store.claim("ALICE", secret);
+    assert.equal(result.valid, false);
+    assert.equal(result.code, "NAME_TAKEN");
+  }
+});
+
+test("claims survive a restart and only the hash is stored", (t) => {
+  const file = tempFile(t);
+  const { profile, secret } = createProfileStore(file).claim("Alice");
+
+  assert.ok(!fs.readFileSync(file, "utf8").includes(secret));
+  const reloaded = createProfileStore(file);
+  assert.equal(reloaded.claim("Alice").valid, false);
+  assert.equal(reloaded.claim("Alice", secret).profile.id, profile.id);
+});
+
+test("a profile saved before secrets goes to the next claimant", (t) => {
+  const file = tempFile(t);
+  const legacy = { id: "p1", name: "Alice", createdAt: "2025-01-01" };
+  fs.writeFileSync(file, JSON.stringify([legacy]));
+  const store = createProfileStore(file);
+
+  const claimed = store.claim("Alice");
+  assert.equal(claimed.profile.id, "p1");
+  assert.equal(typeof claimed.secret, "string");
+  assert.equal(store.claim("Alice").valid, false);
+});
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connect } = require("./support/server");
+
+test("a taken name needs the secret from its first registration", async (t) => {
+  const server = await useServer(t);
+  const alice = await connect(t, server);
+  const { profileId, profileSecret } = await alice.register("Alice");
+  assert.equal(typeof profileSecret, "string");
+  assert.equal(alice.state.profileSecret, profileSecret);
+
+  const impostor = await connect(t, server);
+  await assert.rejects(impostor.register("alice"), { code: "NAME_TAKEN" });
+  await assert.rejects(impostor.register("Alice", "guess"), {
+    code: "NAME_TAKEN",
+  });
+  assert.equal(impostor.state.playerId, null);
+
+  const secondTab = await connect(t, server);
+  const registered = await secondTab.register("Alice", profileSecret);
+  assert.equal(registered.profileId, profileId);
+  assert.equal(registered.profileSecret, undefined);
+});
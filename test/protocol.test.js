@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  PROTOCOL_VERSION,
+  validateClientMessage,
+  validateServerMessage,
+} = require("../lib/protocol");
+
+const INHERITED = ["constructor", "toString", "hasOwnProperty", "__proto__"];
+
+test("declared client messages are checked against their fields", () => {
+  assert.deepEqual(
+    validateClientMessage({
+      type: "register",
+      name: "Alice",
+      protocolVersion: PROTOCOL_VERSION,
+    }),
+    { valid: true }
+  );
+
+  const missing = validateClientMessage({ type: "register", name: "Alice" });
+  assert.equal(missing.code, "INVALID_MESSAGE");
+  assert.equal(validateClientMessage(["register"]).code, "INVALID_MESSAGE");
+  assert.equal(validateClientMessage({ type: 7 }).code, "INVALID_MESSAGE");
+});
+
+test("inherited object keys aren't message types", () => {
+  for (const type of INHERITED) {
+    const client = validateClientMessage({ type });
+    assert.equal(client.valid, false, type);
+    assert.equal(client.code, "UNKNOWN_MESSAGE_TYPE", type);
+
+    assert.equal(validateServerMessage({ type }).valid, false, type);
+  }
+  assert.equal(validateClientMessage({ type: "no_such_type" }).valid, false);
+});
+
+test("server messages are checked against their declared fields", () => {
+  assert.deepEqual(validateServerMessage({ type: "queue_left" }), {
+    valid: true,
+  });
+  assert.equal(validateServerMessage({ type: "inbox" }).valid, false);
+});
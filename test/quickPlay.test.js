@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+test("a full group is seated and started straight away", async (t) => {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+
+  const queued = await alice.joinQueue({ maxPlayers: 2 });
+  assert.equal(queued.position, 1);
+  assert.equal(queued.playersWaiting, 1);
+
+  const found = [alice, bob].map((p) => nextMessage(p, "match_found"));
+  const started = [alice, bob].map((p) => nextMessage(p, "game_started"));
+  await bob.joinQueue({ maxPlayers: 2 });
+
+  const [forAlice, forBob] = await Promise.all(found);
+  assert.equal(forAlice.roomId, forBob.roomId);
+  await Promise.all(started);
+  assert.deepEqual(
+    alice.state.game.players.map((player) => player.id).sort(),
+    [alice.state.playerId, bob.state.playerId].sort()
+  );
+});
+
+test("a group that isn't full starts when the wait runs out", async (t) => {
+  const server = await useServer(t, { env: { QUEUE_WAIT_MS: "500" } });
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+
+  await alice.joinQueue();
+  const found = nextMessage(bob, "match_found");
+  const queued = await bob.joinQueue();
+  assert.equal(queued.position, 2);
+  assert.ok(queued.expectedWaitMs <= 500);
+
+  const joinedAt = Date.now();
+  await found;
+  assert.ok(Date.now() - joinedAt < 2000);
+});
+
+test("only players on the same rules are matched", async (t) => {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+
+  await alice.joinQueue({ maxPlayers: 2, ruleset: "quick" });
+  const queued = await bob.joinQueue({ maxPlayers: 2 });
+  assert.equal(queued.playersWaiting, 1);
+
+  await bob.leaveQueue();
+  await assert.rejects(bob.leaveQueue(), { code: "NOT_QUEUED" });
+});
+
+test("creating a room takes the creator out of the queue", async (t) => {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+
+  await alice.joinQueue({ maxPlayers: 2 });
+  await alice.createRoom("Own table");
+
+  const queued = await bob.joinQueue({ maxPlayers: 2 });
+  assert.equal(queued.playersWaiting, 1);
+  await assert.rejects(alice.leaveQueue(), { code: "NOT_QUEUED" });
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const rules = require("../lib/rules");
+const { STRATEGIES } = require("../lib/bots");
+const { playGame } = require("../lib/simulator");
+const { replayGame } = require("../lib/replay");
+const { createReplayRouter } = require("../lib/replayRoutes");
+const { resolveRuleset } = require("../lib/rulesets");
+
+const stats = () => ({ turns: 0, rolls: 0, busts: 0, invalidMoves: 0 });
+
+function playSeeded(seed, ruleset = resolveRuleset().ruleset) {
+  return playGame(
+    [
+      { id: "a", strategy: STRATEGIES.greedy, stats: stats() },
+      { id: "b", strategy: STRATEGIES.expected, stats: stats() },
+      { id: "c", strategy: STRATEGIES.random, stats: stats() },
+    ],
+    { seed, ruleset }
+  );
+}
+
+function finalState(game) {
+  const {
+    tiles,
+    faceDownTiles,
+    playerStacks,
+    currentPlayerId,
+    turnNumber,
+    rngState,
+    log,
+  } = game;
+  return {
+    tiles,
+    faceDownTiles,
+    playerStacks,
+    currentPlayerId,
+    turnNumber,
+    rngState,
+    log,
+  };
+}
+
+[1, 42, 2024, 987654321].forEach((seed) => {
+  test(`replaying seed ${seed} reaches the live final state`, () => {
+    const live = playSeeded(seed);
+    assert.ok(live, "game finished");
+
+    const replayed = replayGame(JSON.parse(JSON.stringify(live)));
+
+    assert.ok(rules.isGameOver(replayed));
+    assert.deepEqual(finalState(replayed), finalState(live));
+    assert.deepEqual(
+      rules.calculateStandings(replayed),
+      rules.calculateStandings(live)
+    );
+  });
+});
+
+test("replays keep the game's house rules", () => {
+  const ruleset = resolveRuleset("quick").ruleset;
+  const live = playSeeded(7, ruleset);
+
+  const replayed = replayGame(JSON.parse(JSON.stringify(live)));
+
+  assert.deepEqual(finalState(replayed), finalState(live));
+});
+
+test("replaying part of a game stops at that step", () => {
+  const live = playSeeded(99);
+
+  const replayed = replayGame(live, 10);
+
+  assert.equal(replayed.log.length, 10);
+  assert.deepEqual(replayed.log, live.log.slice(0, 10));
+});
+
+test("a log that doesn't match the seed is rejected", () => {
+  const live = JSON.parse(JSON.stringify(playSeeded(5)));
+  const roll = live.log.find((event) => event.type === "roll");
+  roll.dice = roll.dice.map((face) => (face === "1" ? "2" : "1"));
+
+  assert.throws(() => replayGame(live), /Replay diverged/);
+});
+
+test("a stored game that no longer replays is a 422, not a crash", async (t) => {
+  const broken = JSON.parse(JSON.stringify(playSeeded(5)));
+  broken.id = "g1";
+  broken.log.find((event) => event.type === "roll").dice = ["9"];
+
+  const app = express();
+  app.use(
+    "/api",
+    createReplayRouter((id) => (id === "g1" ? broken : null))
+  );
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => server.close());
+  const base = `http://localhost:${server.address().port}/api/games`;
+
+  const replay = await fetch(`${base}/g1/replay?step=${broken.log.length}`);
+  assert.equal(replay.status, 422);
+  assert.equal((await replay.json()).code, "REPLAY_FAILED");
+
+  const invalid = await fetch(`${base}/g1/replay?step=-1`);
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).code, "INVALID_QUERY");
+
+  const missing = await fetch(`${base}/nope/replay`);
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).code, "NO_REPLAY");
+});
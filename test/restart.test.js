@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startServer,
+  connect,
+  connectAs,
+  nextMessage,
+} = require("./support/server");
+
+async function started(t, options) {
+  const server = startServer(options);
+  t.after(() => server.stop());
+  await server.ready;
+  return server;
+}
+
+// A running game whose server is then stopped with `signal`, files kept,
+// and started again on them.
+async function restartedGame(t, { names, signal, env }) {
+  const first = await started(t, { env });
+  const clients = [];
+  for (const name of names) clients.push(await connectAs(t, first, name));
+  const [host, ...guests] = clients;
+  const { roomId } = await host.createRoom("Restarted");
+  for (const guest of guests) await guest.joinRoom(roomId);
+  await host.startGame();
+  await host.rollDice();
+  const before = host.state.game;
+
+  // A crash only keeps what the last batched write got to
+  if (signal === "SIGKILL") await new Promise((r) => setTimeout(r, 300));
+  await first.stop({ signal, keepFiles: true });
+
+  const second = await started(t, { env, dir: first.dir });
+  const tokens = clients.map((client) => client.state.token);
+  return { second, tokens, before, roomId };
+}
+
+async function resumeAs(t, server, token) {
+  const client = await connect(t, server);
+  await client.resume(token);
+  return client;
+}
+
+test("a game survives a restart and waits until everyone is back", async (t) => {
+  const { second, tokens, before, roomId } = await restartedGame(t, {
+    names: ["Host", "Guest"],
+    signal: "SIGTERM",
+  });
+
+  const host = await resumeAs(t, second, tokens[0]);
+  assert.equal(host.state.room.id, roomId);
+  assert.equal(host.state.room.suspended, true);
+  assert.equal(host.state.game.version, before.version);
+  assert.deepEqual(host.state.game.turnState, before.turnState);
+  await assert.rejects(host.stopTurn(), { code: "GAME_SUSPENDED" });
+
+  const resumed = nextMessage(host, "game_resumed");
+  await resumeAs(t, second, tokens[1]);
+  await resumed;
+
+  await host.stopTurn();
+  assert.equal(host.isMyTurn(), false);
+});
+
+test("a crash keeps the game as of the last snapshot", async (t) => {
+  const { second, tokens, before } = await restartedGame(t, {
+    names: ["Host", "Guest"],
+    signal: "SIGKILL",
+    env: { SNAPSHOT_DEBOUNCE_MS: "50" },
+  });
+
+  const host = await resumeAs(t, second, tokens[0]);
+  assert.equal(host.state.game.version, before.version);
+  assert.deepEqual(host.state.game.turnState, before.turnState);
+});
+
+test("the game goes on without a player who never comes back", async (t) => {
+  const { second, tokens } = await restartedGame(t, {
+    names: ["Host", "Guest", "Gone"],
+    signal: "SIGTERM",
+    env: { RESTORE_GRACE_MS: "1000" },
+  });
+
+  const host = await resumeAs(t, second, tokens[0]);
+  const resumed = nextMessage(host, "game_resumed", () => true, 3000);
+  await resumeAs(t, second, tokens[1]);
+
+  const { gameState } = await resumed;
+  const gone = gameState.players.find((player) => player.name === "Gone");
+  assert.equal(gone.left, true);
+  await host.stopTurn();
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { PROTOCOL_VERSION } = require("../lib/protocol");
+const {
+  useServer,
+  connect,
+  connectAs,
+  nextMessage,
+} = require("./support/server");
+
+async function startedGame(t, env) {
+  const server = await useServer(t, { env });
+  const host = await connectAs(t, server, "Host");
+  const guest = await connectAs(t, server, "Guest");
+  const { roomId } = await host.createRoom("Resume");
+  await guest.joinRoom(roomId);
+  await host.startGame();
+  return { server, host, guest, roomId };
+}
+
+test("a dropped player resumes their seat with the session token", async (t) => {
+  const { server, host, guest, roomId } = await startedGame(t);
+  const { token, playerId } = host.state;
+
+  const disconnected = nextMessage(guest, "player_disconnected");
+  host.close();
+  assert.equal((await disconnected).playerId, playerId);
+
+  const back = await connect(t, server);
+  const reconnected = nextMessage(guest, "player_reconnected");
+  const resumed = await back.resume(token);
+  assert.equal(resumed.playerId, playerId);
+  assert.equal(resumed.room.id, roomId);
+  assert.equal(resumed.gameState.currentPlayerId, playerId);
+  assert.equal((await reconnected).playerId, playerId);
+
+  // And it's still their turn to play
+  await back.stopTurn();
+  assert.equal(back.isMyTurn(), false);
+  assert.equal(back.state.game.currentPlayerId, guest.state.playerId);
+});
+
+test("resuming from a second connection takes over from the first", async (t) => {
+  const { server, host } = await startedGame(t);
+
+  const closed = nextMessage(host, "close");
+  const second = await connect(t, server);
+  await second.resume(host.state.token);
+  await closed;
+
+  assert.equal(second.isMyTurn(), true);
+});
+
+test("a session that outlived the grace period can't be resumed", async (t) => {
+  const { server, host, guest } = await startedGame(t, {
+    RECONNECT_GRACE_MS: "200",
+  });
+  const { token, playerId } = host.state;
+
+  const left = nextMessage(guest, "player_left_game");
+  host.close();
+  assert.equal((await left).playerId, playerId);
+
+  const late = await connect(t, server);
+  const failed = nextMessage(late, "resume_failed");
+  late.send("resume", { token, protocolVersion: PROTOCOL_VERSION });
+  assert.equal((await failed).code, "SESSION_EXPIRED");
+});
+
+test("an unknown token is turned away", async (t) => {
+  const server = await useServer(t);
+  const stranger = await connect(t, server);
+
+  const failed = nextMessage(stranger, "resume_failed");
+  stranger.send("resume", {
+    token: "not-a-token",
+    protocolVersion: PROTOCOL_VERSION,
+  });
+  assert.equal((await failed).code, "SESSION_EXPIRED");
+  assert.equal(stranger.state.playerId, null);
+});
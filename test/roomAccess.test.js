@@ -0,0 +1,13 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { hashPassword, verifyPassword } = require("../lib/roomAccess");
+
+test("passwords verify against their hash without blocking", async () => {
+  const stored = hashPassword("hunter22");
+
+  const pending = verifyPassword("hunter22", stored);
+  assert.ok(pending instanceof Promise);
+  assert.equal(await pending, true);
+  assert.equal(await verifyPassword("hunter23", stored), false);
+  assert.equal(await verifyPassword(undefined, stored), false);
+});
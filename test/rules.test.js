@@ -0,0 +1,232 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const rules = require("../lib/rules");
+
+const tile = (number) => rules.TILES.find((t) => t.number === number);
+
+// A game where it's `playerId`'s turn with `score` set aside, worm included,
+// and no dice waiting to be picked.
+function gameWithScore(score, playerId = "a") {
+  const game = rules.createGame(["a", "b", "c"], { seed: 1 });
+  game.currentPlayerId = playerId;
+  game.currentPlayerIndex = game.playerOrder.indexOf(playerId);
+  Object.assign(game.turnState, {
+    currentScore: score,
+    hasWorm: true,
+    selectedFaces: ["worm", "5"],
+    availableDice: 2,
+  });
+  return game;
+}
+
+test("a claim takes the chosen grill tile at or below the score", () => {
+  const game = gameWithScore(26);
+
+  const result = rules.claimTile(game, "a", 26);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.tile.number, 26);
+  assert.equal(result.stolenFrom, null);
+  assert.deepEqual(game.playerStacks.a, [tile(26)]);
+  assert.ok(!game.tiles.some((t) => t.number === 26));
+  assert.equal(game.currentPlayerId, "b");
+});
+
+test("a claim above the score is rejected", () => {
+  const game = gameWithScore(24);
+
+  const result = rules.claimTile(game, "a", 25);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, "SCORE_TOO_LOW");
+  assert.deepEqual(game.playerStacks.a, []);
+});
+
+test("the highest grill tile at or below the score is the grill option", () => {
+  const game = gameWithScore(26);
+  game.tiles = game.tiles.filter((t) => t.number !== 26);
+
+  assert.equal(rules.getClaimOptions(game, "a").grillTile.number, 25);
+});
+
+test("a claim needs a worm among the set-aside dice", () => {
+  const game = gameWithScore(25);
+  game.turnState.hasWorm = false;
+
+  const result = rules.claimTile(game, "a", 25);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.code, "WORM_REQUIRED");
+});
+
+test("a steal needs the exact number on top of an opponent's stack", () => {
+  const game = gameWithScore(27);
+  game.tiles = game.tiles.filter((t) => t.number !== 27 && t.number !== 30);
+  game.playerStacks.b = [tile(30), tile(27)];
+
+  const result = rules.claimTile(game, "a", 27);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.stolenFrom, "b");
+  assert.deepEqual(game.playerStacks.b, [tile(30)]);
+  assert.deepEqual(game.playerStacks.a, [tile(27)]);
+});
+
+test("a tile that isn't on top, or isn't the exact score, can't be stolen", () => {
+  const game = gameWithScore(30);
+  game.tiles = game.tiles.filter((t) => t.number <= 24);
+  game.playerStacks.b = [tile(30), tile(27)];
+  game.playerStacks.c = [tile(29)];
+
+  assert.deepEqual(rules.getClaimOptions(game, "a").steals, []);
+  assert.equal(rules.claimTile(game, "a", 30).valid, false);
+  assert.equal(rules.claimTile(game, "a", 29).valid, false);
+});
+
+test("a bust returns the top tile and turns over the highest grill tile", () => {
+  const game = gameWithScore(0);
+  game.tiles = game.tiles.filter((t) => t.number !== 22);
+  game.playerStacks.a = [tile(22)];
+
+  const result = rules.bust(game, "a");
+
+  assert.equal(result.returnedTile.number, 22);
+  assert.equal(result.flippedTile.number, 36);
+  assert.deepEqual(game.playerStacks.a, []);
+  assert.ok(game.tiles.some((t) => t.number === 22));
+  assert.deepEqual(game.faceDownTiles, [tile(36)]);
+  assert.equal(game.currentPlayerId, "b");
+});
+
+test("a bust doesn't turn over the returned tile when it's the highest", () => {
+  const game = gameWithScore(0);
+  game.tiles = game.tiles.filter((t) => t.number < 30);
+  game.playerStacks.a = [tile(34)];
+
+  const result = rules.bust(game, "a");
+
+  assert.equal(result.returnedTile.number, 34);
+  assert.equal(result.flippedTile, null);
+  assert.equal(game.tiles[game.tiles.length - 1].number, 34);
+  assert.deepEqual(game.faceDownTiles, []);
+});
+
+test("a bust with an empty stack still turns over the highest tile", () => {
+  const game = gameWithScore(0);
+
+  const result = rules.bust(game, "a");
+
+  assert.equal(result.returnedTile, null);
+  assert.equal(result.flippedTile.number, 36);
+});
+
+test("taking the last grill tile ends the game", () => {
+  const game = gameWithScore(25);
+  game.tiles = [tile(25)];
+
+  const result = rules.claimTile(game, "a", 25);
+
+  assert.equal(result.gameOver, true);
+  assert.equal(rules.isGameOver(game), true);
+  assert.equal(game.currentPlayerId, "a");
+});
+
+test("turning over the last grill tile ends the game", () => {
+  const game = gameWithScore(0);
+  game.tiles = [tile(21)];
+
+  const result = rules.bust(game, "a");
+
+  assert.equal(result.flippedTile.number, 21);
+  assert.equal(result.gameOver, true);
+  assert.deepEqual(game.tiles, []);
+});
+
+test("nothing moves once the game is over", () => {
+  const game = gameWithScore(25);
+  game.tiles = [tile(25)];
+  game.playerStacks.b = [tile(30)];
+  rules.claimTile(game, "a", 25);
+  // Still a's turn on an empty grill, with an exact score for b's tile.
+  game.turnState.currentScore = 30;
+  const before = JSON.stringify(game);
+
+  for (const result of [
+    rules.claimTile(game, "a", 30),
+    rules.bust(game, "a"),
+    rules.rollDice(game, "a"),
+    rules.selectFace(game, "a", "worm"),
+  ]) {
+    assert.equal(result.valid, false);
+    assert.equal(result.code, "GAME_OVER");
+  }
+  assert.equal(JSON.stringify(game), before);
+  assert.equal(rules.isGameOver(game), true);
+});
+
+// Standings for a finished game where each player holds `stacks[id]`.
+function standingsFor(stacks, log = []) {
+  const game = rules.createGame(Object.keys(stacks), { seed: 1 });
+  Object.entries(stacks).forEach(([playerId, numbers]) => {
+    game.playerStacks[playerId] = numbers.map(tile);
+  });
+  game.log = log;
+  return rules.calculateStandings(game);
+}
+
+const places = (standings) =>
+  standings.map(({ playerId, rank, shared }) => [playerId, rank, shared]);
+
+test("standings go by worms, then by the highest tile", () => {
+  // a and b both have 4 worms; b holds the higher tile.
+  const standings = standingsFor({ a: [29, 21], b: [22, 30], c: [36] });
+
+  assert.deepEqual(places(standings), [
+    ["c", 1, false],
+    ["b", 2, false],
+    ["a", 3, false],
+  ]);
+  assert.deepEqual(
+    standings.map(({ worms, highestTile }) => [worms, highestTile]),
+    [
+      [4, 36],
+      [4, 30],
+      [4, 29],
+    ]
+  );
+});
+
+test("players level on worms and highest tile share the place", () => {
+  const standings = standingsFor({ a: [25], b: [26], c: [22] });
+
+  assert.deepEqual(places(standings), [
+    ["b", 1, false],
+    ["a", 2, false],
+    ["c", 3, false],
+  ]);
+  assert.deepEqual(places(standingsFor({ a: [], b: [], c: [21] })), [
+    ["c", 1, false],
+    ["a", 2, true],
+    ["b", 2, true],
+  ]);
+  assert.deepEqual(places(standingsFor({ a: [], b: [], c: [] })), [
+    ["a", 1, true],
+    ["b", 1, true],
+    ["c", 1, true],
+  ]);
+});
+
+test("standings count steals and tiles lost to busts from the log", () => {
+  const standings = standingsFor({ a: [27], b: [] }, [
+    { type: "claim", playerId: "b", tile: 27, stolenFrom: null },
+    { type: "claim", playerId: "a", tile: 27, stolenFrom: "b" },
+    { type: "bust", playerId: "b", returnedTile: null },
+    { type: "bust", playerId: "a", returnedTile: { number: 21, worms: 1 } },
+  ]);
+
+  const byId = Object.fromEntries(standings.map((e) => [e.playerId, e]));
+  assert.equal(byId.a.steals, 1);
+  assert.equal(byId.a.tilesLostToBusts, 1);
+  assert.equal(byId.b.steals, 0);
+  assert.equal(byId.b.tilesLostToBusts, 0);
+});
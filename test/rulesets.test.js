@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveRuleset } = require("../lib/rulesets");
+
+test("a tile range builds one tile per number", () => {
+  const result = resolveRuleset({ tileRange: { min: 10, max: 39 } });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.ruleset.tiles.length, 30);
+  assert.deepEqual(result.ruleset.tiles[0], { number: 10, worms: 1 });
+});
+
+test("an oversized tile range is rejected without building it", () => {
+  const result = resolveRuleset({ tileRange: { min: 1, max: 1e12 } });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, "Rules need between 1 and 30 tiles");
+  assert.equal(
+    resolveRuleset({ tileRange: { min: 10, max: 40 } }).valid,
+    false
+  );
+});
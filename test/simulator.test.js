@@ -0,0 +1,25 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { STRATEGIES } = require("../lib/bots");
+const { runSimulation } = require("../lib/simulator");
+const { resolveRuleset } = require("../lib/rulesets");
+
+function simulate(seed) {
+  return runSimulation({
+    strategies: [
+      { name: "random", strategy: STRATEGIES.random },
+      { name: "greedy", strategy: STRATEGIES.greedy },
+    ],
+    games: 50,
+    seed,
+    ruleset: resolveRuleset().ruleset,
+  });
+}
+
+test("the same seed gives the same report, random bot included", () => {
+  assert.deepEqual(simulate(7), simulate(7));
+});
+
+test("the random bot plays differently under another seed", () => {
+  assert.notDeepEqual(simulate(7).strategies[0], simulate(8).strategies[0]);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+async function watchedGame(t) {
+  const server = await useServer(t);
+  const host = await connectAs(t, server, "Host");
+  const guest = await connectAs(t, server, "Guest");
+  const watcher = await connectAs(t, server, "Watcher");
+
+  const { roomId } = await host.createRoom("Watched");
+  await guest.joinRoom(roomId);
+  await host.startGame();
+  return { server, host, guest, watcher, roomId };
+}
+
+test("a spectator gets the game so far and every move after", async (t) => {
+  const { host, watcher, roomId } = await watchedGame(t);
+
+  const counted = nextMessage(
+    host,
+    "room_updated",
+    ({ room }) => room.spectatorCount === 1
+  );
+  const spectating = await watcher.request("spectate_room", { roomId });
+  assert.equal(spectating.room.id, roomId);
+  assert.equal(spectating.gameState.currentPlayerId, host.state.playerId);
+  await counted;
+
+  const seen = nextMessage(watcher, "dice_rolled");
+  await host.rollDice();
+  assert.deepEqual((await seen).diceResults, host.state.lastRoll.diceResults);
+  assert.equal(watcher.state.game.version, host.state.game.version);
+});
+
+test("spectators can't play", async (t) => {
+  const { watcher, roomId } = await watchedGame(t);
+  await watcher.request("spectate_room", { roomId });
+
+  for (const [type, payload] of [
+    ["roll_dice", {}],
+    ["select_face", { face: "worm" }],
+    ["stop_turn", {}],
+  ]) {
+    await assert.rejects(
+      watcher.request(type, { roomId, ...payload }, { expect: "never" }),
+      { code: "SPECTATOR_CANNOT_PLAY" },
+      type
+    );
+  }
+});
+
+test("a seated player can't also spectate", async (t) => {
+  const { guest, roomId } = await watchedGame(t);
+
+  await assert.rejects(guest.request("spectate_room", { roomId }), {
+    code: "ALREADY_SEATED",
+  });
+});
+
+test("a spectator who leaves stops getting the room's messages", async (t) => {
+  const { host, watcher, roomId } = await watchedGame(t);
+  await watcher.request("spectate_room", { roomId });
+
+  const uncounted = nextMessage(
+    host,
+    "room_updated",
+    ({ room }) => room.spectatorCount === 0
+  );
+  watcher.leaveRoom();
+  await uncounted;
+
+  const types = [];
+  watcher.on("*", (message) => types.push(message.type));
+  await host.rollDice();
+  // Replies come in order, so a forwarded roll would already be here
+  await watcher.listRooms();
+  assert.ok(!types.includes("dice_rolled"));
+});
+
+test("a spectator can take a free seat before the game starts", async (t) => {
+  const server = await useServer(t);
+  const host = await connectAs(t, server, "Host");
+  const watcher = await connectAs(t, server, "Watcher");
+  const { roomId } = await host.createRoom("Open seats");
+
+  await watcher.request("spectate_room", { roomId });
+  const joined = await watcher.joinRoom(roomId);
+  assert.equal(joined.room.spectatorCount, 0);
+  assert.ok(
+    joined.room.players.some((player) => player.id === watcher.state.playerId)
+  );
+});
@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+const rules = require("../lib/rules");
+const stateSync = require("../lib/stateSync");
+const { createGameClient } = require("../client/gameClient");
+const { useServer, connectAs } = require("./support/server");
+
+// Sits between a client and the server and loses the server's messages
+// that `drop` picks out. Everything else goes through untouched.
+async function startLossyLink(t, server, drop) {
+  const seen = [];
+  const link = new WebSocket.Server({ port: 0 });
+  await new Promise((resolve) => link.once("listening", resolve));
+  t.after(() => link.close());
+
+  link.on("connection", (client) => {
+    const upstream = new WebSocket(server.url);
+    const early = [];
+    upstream.on("open", () => early.splice(0).forEach((m) => upstream.send(m)));
+    upstream.on("message", (raw) => {
+      const message = JSON.parse(raw);
+      seen.push({ to: "client", message });
+      if (!drop(message)) client.send(raw.toString());
+    });
+    upstream.on("close", () => client.close());
+
+    client.on("message", (raw) => {
+      seen.push({ to: "server", message: JSON.parse(raw) });
+      if (upstream.readyState === WebSocket.OPEN) upstream.send(raw.toString());
+      else early.push(raw.toString());
+    });
+    client.on("close", () => upstream.close());
+  });
+
+  return { url: `ws://localhost:${link.address().port}`, seen };
+}
+
+// A two-player game with a spectator connected through `drop`.
+async function watchedGame(t, ruleset, drop) {
+  const server = await useServer(t);
+  const alice = await connectAs(t, server, "Alice");
+  const bob = await connectAs(t, server, "Bob");
+  const link = await startLossyLink(t, server, drop);
+
+  const spectator = createGameClient({ url: link.url });
+  await spectator.connect();
+  t.after(() => spectator.close());
+  await spectator.register("Spectator");
+
+  const { roomId } = await alice.createRoom("Watched", { ruleset });
+  await bob.joinRoom(roomId);
+  await spectator.request("spectate_room", { roomId });
+  await alice.startGame();
+
+  return { alice, bob, spectator, link, roomId };
+}
+
+// Each player in turn gives up straight away: one update per turn. Whoever
+// just moved has seen their own update, so they know who is next.
+async function giveUpTurns(players, count) {
+  let last = players[0];
+  for (let i = 0; i < count; i++) {
+    const { currentPlayerId } = last.state.game;
+    last = players.find((p) => p.state.playerId === currentPlayerId);
+    await last.stopTurn();
+  }
+}
+
+// The parts of the game every update keeps in step.
+function syncedView(game) {
+  return {
+    version: game.version,
+    tiles: game.tiles,
+    faceDownTiles: game.faceDownTiles,
+    playerStacks: game.playerStacks,
+    currentPlayerId: game.currentPlayerId,
+    turnState: game.turnState,
+    inactivePlayers: game.inactivePlayers,
+  };
+}
+
+async function expectCaughtUp(watched) {
+  const { alice, spectator, roomId } = watched;
+  // Far past any kept update, so the server answers with the whole game
+  const { gameState } = await alice.request("sync_request", {
+    roomId,
+    sinceVersion: 1e9,
+  });
+
+  const until = Date.now() + 5000;
+  while (spectator.state.game.version !== gameState.version) {
+    assert.ok(Date.now() < until, "the spectator never caught up");
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.deepEqual(syncedView(spectator.state.game), syncedView(gameState));
+}
+
+const syncReplies = (link) =>
+  link.seen
+    .filter(({ message }) => message.type === "state_sync")
+    .map(({ message }) => message);
+
+test("a client that misses updates asks for the gap and catches up", async (t) => {
+  let updates = 0;
+  const watched = await watchedGame(t, "standard", (message) => {
+    if (message.type !== "turn_bust") return false;
+    updates += 1;
+    return [2, 5, 6].includes(updates);
+  });
+
+  await giveUpTurns([watched.alice, watched.bob], 9);
+  await expectCaughtUp(watched);
+
+  const replies = syncReplies(watched.link);
+  assert.equal(replies.length, 2);
+  assert.ok(replies.every((reply) => reply.updates && !reply.gameState));
+  // The busts flipped tiles, so tile moves were caught up too
+  assert.ok(watched.spectator.state.game.faceDownTiles.length > 0);
+});
+
+test("a gap older than the kept updates is filled with the whole game", async (t) => {
+  let updates = 0;
+  const watched = await watchedGame(t, "friendly", (message) => {
+    if (message.type !== "turn_bust") return false;
+    updates += 1;
+    return updates > 1 && updates < 120;
+  });
+
+  await giveUpTurns([watched.alice, watched.bob], 122);
+  await expectCaughtUp(watched);
+
+  const [reply] = syncReplies(watched.link);
+  assert.ok(reply.gameState);
+});
+
+test("the missing updates are exactly the ones after the client's version", () => {
+  const game = rules.createGame(["a", "b"], { seed: 13 });
+  const sync = stateSync.createSync();
+  stateSync.resetSync(sync, game);
+  const start = sync.version;
+  for (let i = 0; i < 5; i++) {
+    rules.bust(game, game.currentPlayerId);
+    stateSync.commitUpdate(sync, game);
+  }
+
+  assert.deepEqual(
+    stateSync.getUpdatesSince(sync, start + 2).map((u) => u.version),
+    [start + 3, start + 4, start + 5]
+  );
+  assert.deepEqual(stateSync.getUpdatesSince(sync, sync.version), []);
+});
+
+test("a gap older than the kept updates needs a full snapshot", () => {
+  const game = rules.createGame(["a", "b"], { seed: 14 });
+  const sync = stateSync.createSync();
+  stateSync.resetSync(sync, game);
+  const start = sync.version;
+  for (let i = 0; i < 150; i++) stateSync.commitUpdate(sync, game);
+
+  assert.equal(stateSync.getUpdatesSince(sync, start), null);
+  assert.notEqual(stateSync.getUpdatesSince(sync, sync.version - 100), null);
+});
+
+test("versions from another game or from the future need a full snapshot", () => {
+  const game = rules.createGame(["a", "b", "c"], { seed: 15 });
+  const sync = stateSync.createSync();
+  stateSync.resetSync(sync, game);
+  rules.bust(game, game.currentPlayerId);
+  stateSync.commitUpdate(sync, game);
+  const previousGame = sync.version;
+
+  stateSync.resetSync(sync, rules.createGame(["a", "b"], { seed: 16 }));
+
+  assert.equal(stateSync.getUpdatesSince(sync, previousGame), null);
+  assert.equal(stateSync.getUpdatesSince(sync, sync.version + 1), null);
+});
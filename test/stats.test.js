@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createStatsTracker, INITIAL_RATING } = require("../lib/stats");
+
+function record(players) {
+  return {
+    id: "g1",
+    players: players.map(([id, worms, rank]) => ({
+      id,
+      profileId: `p-${id}`,
+      name: id,
+      worms,
+      rank,
+    })),
+    log: [],
+  };
+}
+
+test("ratings follow the ranks, including the highest-tile tie-break", () => {
+  const stats = createStatsTracker();
+  // Level on worms; a held the higher tile.
+  stats.recordGame(
+    record([
+      ["a", 6, 1],
+      ["b", 6, 2],
+    ])
+  );
+
+  assert.ok(stats.getPlayerStats("p-a").rating > INITIAL_RATING);
+  assert.ok(stats.getPlayerStats("p-b").rating < INITIAL_RATING);
+});
+
+test("a shared first place is a draw and a win for both", () => {
+  const stats = createStatsTracker();
+  stats.recordGame(
+    record([
+      ["a", 6, 1],
+      ["b", 6, 1],
+      ["c", 2, 3],
+    ])
+  );
+
+  const a = stats.getPlayerStats("p-a");
+  const b = stats.getPlayerStats("p-b");
+  assert.equal(a.rating, b.rating);
+  assert.ok(a.rating > INITIAL_RATING);
+  assert.equal(a.wins, 1);
+  assert.equal(b.wins, 1);
+  assert.equal(stats.getPlayerStats("p-c").wins, 0);
+});
+
+test("records from before ranks compare worms and name one winner", () => {
+  const stats = createStatsTracker();
+  stats.recordGame({
+    ...record([
+      ["a", 3],
+      ["b", 5],
+    ]),
+    winner: { id: "b", name: "b", worms: 5 },
+  });
+
+  assert.ok(stats.getPlayerStats("p-b").rating > INITIAL_RATING);
+  assert.equal(stats.getPlayerStats("p-b").wins, 1);
+  assert.equal(stats.getPlayerStats("p-a").wins, 0);
+});
+
+test("one profile in two seats is counted once, at its better place", () => {
+  const stats = createStatsTracker();
+  const game = record([
+    ["a", 6, 1],
+    ["b", 4, 2],
+    ["a2", 2, 3],
+  ]);
+  game.players[2].profileId = "p-a";
+  stats.recordGame(game);
+
+  const a = stats.getPlayerStats("p-a");
+  assert.equal(a.gamesPlayed, 1);
+  assert.equal(a.wins, 1);
+  assert.equal(a.averageWorms, 6);
+  assert.equal(
+    a.rating - INITIAL_RATING,
+    INITIAL_RATING - stats.getPlayerStats("p-b").rating
+  );
+});
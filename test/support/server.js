@@ -0,0 +1,98 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createGameClient } = require("../../client/gameClient");
+
+// Runs server.js in a child process on its own port, with its data files in
+// a temp directory. Pass `dir` to start again on the files a stopped server
+// left behind. The server picks a free port and `url` is set once it's ready.
+function startServer({ env = {}, dir } = {}) {
+  const dataDir = dir || fs.mkdtempSync(path.join(os.tmpdir(), "worms-test-"));
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: path.join(__dirname, "..", ".."),
+    env: {
+      ...process.env,
+      PORT: "0",
+      HISTORY_FILE: path.join(dataDir, "history.jsonl"),
+      PROFILES_FILE: path.join(dataDir, "profiles.json"),
+      SNAPSHOT_FILE: path.join(dataDir, "snapshot.json"),
+      TOURNAMENTS_FILE: path.join(dataDir, "tournaments.jsonl"),
+      WEBHOOKS_FILE: path.join(dataDir, "webhooks.json"),
+      NOTIFICATIONS_FILE: path.join(dataDir, "notifications.jsonl"),
+      MESSAGE_RATE_LIMIT: "1000",
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  const server = {
+    url: null,
+    httpUrl: null,
+    dir: dataDir,
+    // SIGTERM shuts down cleanly; SIGKILL stands in for a crash.
+    async stop({ signal = "SIGTERM", keepFiles = false } = {}) {
+      child.kill(signal);
+      await exited;
+      if (!keepFiles) fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+
+  server.ready = new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      const lines = output.split("\n");
+      output = lines.pop();
+      const running = lines
+        .map((line) => JSON.parse(line))
+        .find((entry) => entry.msg === "Server running");
+      if (!running) return;
+      server.url = `ws://localhost:${running.port}`;
+      server.httpUrl = `http://localhost:${running.port}`;
+      resolve();
+    });
+    child.once("exit", (code) => reject(new Error(`Server exited (${code})`)));
+  });
+  return server;
+}
+
+// Starts a server for one test and stops it, files and all, afterwards.
+async function useServer(t, options) {
+  const server = startServer(options);
+  t.after(() => server.stop());
+  await server.ready;
+  return server;
+}
+
+async function connect(t, server) {
+  const client = createGameClient({ url: server.url });
+  await client.connect();
+  t.after(() => client.close());
+  return client;
+}
+
+async function connectAs(t, server, name) {
+  const client = await connect(t, server);
+  await client.register(name);
+  return client;
+}
+
+// The next message of `type` that passes `predicate`.
+function nextMessage(client, type, predicate = () => true, timeoutMs = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      off();
+      reject(new Error(`No ${type} within ${timeoutMs}ms`));
+    }, timeoutMs);
+    const off = client.on(type, (message) => {
+      if (!predicate(message)) return;
+      clearTimeout(timer);
+      off();
+      resolve(message);
+    });
+  });
+}
+
+module.exports = { startServer, useServer, connect, connectAs, nextMessage };
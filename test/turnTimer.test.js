@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { useServer, connectAs, nextMessage } = require("./support/server");
+
+// The shortest limit there is, one second, with quick countdown ticks.
+async function timedGame(t, options = {}) {
+  const server = await useServer(t, { env: { TURN_TIMER_TICK_MS: "100" } });
+  const host = await connectAs(t, server, "Host");
+  const guest = await connectAs(t, server, "Guest");
+  const { roomId } = await host.createRoom("Timed", {
+    turnTimeLimit: 1,
+    ...options,
+  });
+  await guest.joinRoom(roomId);
+  return { host, guest, roomId };
+}
+
+test("the turn counts down and runs out into a bust", async (t) => {
+  const { host, guest } = await timedGame(t);
+
+  const seen = [];
+  guest.on("*", (message) => seen.push(message));
+  const timedOut = nextMessage(guest, "turn_timeout");
+  const bust = nextMessage(guest, "turn_bust");
+  await host.startGame();
+
+  const timeout = await timedOut;
+  assert.equal(timeout.playerId, host.state.playerId);
+  assert.equal(timeout.timeouts, 1);
+  await bust;
+  assert.equal(guest.isMyTurn(), true);
+
+  const ticks = seen
+    .slice(0, seen.indexOf(timeout))
+    .filter((message) => message.type === "turn_timer");
+  assert.ok(ticks.length >= 3);
+  assert.ok(ticks.every((tick) => tick.playerId === host.state.playerId));
+  assert.ok(ticks.every((tick) => tick.remainingMs <= 1000));
+  assert.ok(ticks[ticks.length - 1].remainingMs < ticks[0].remainingMs);
+});
+
+test("a player who keeps timing out is skipped until they're back", async (t) => {
+  const { host, guest, roomId } = await timedGame(t, {
+    awayAfterTimeouts: 1,
+  });
+
+  const away = nextMessage(guest, "player_away");
+  const bust = nextMessage(guest, "turn_bust");
+  await host.startGame();
+  assert.equal((await away).playerId, host.state.playerId);
+  await bust;
+
+  // The host's seat is passed over
+  await guest.stopTurn();
+  assert.equal(guest.isMyTurn(), true);
+  assert.deepEqual(guest.state.game.inactivePlayers, [host.state.playerId]);
+
+  const back = nextMessage(guest, "player_back");
+  host.send("im_back", { roomId });
+  assert.equal((await back).playerId, host.state.playerId);
+
+  const hostsTurn = nextMessage(host, "turn_bust");
+  await guest.stopTurn();
+  await hostsTurn;
+  assert.equal(host.isMyTurn(), true);
+  assert.deepEqual(host.state.game.inactivePlayers, []);
+});
+
+test("turn limits outside the allowed range are refused", async (t) => {
+  const server = await useServer(t);
+  const host = await connectAs(t, server, "Host");
+
+  for (const turnTimeLimit of [-1, 601]) {
+    await assert.rejects(
+      host.request("create_room", { roomName: "Bad", turnTimeLimit }),
+      { code: "INVALID_ROOM_SETTINGS" },
+      String(turnTimeLimit)
+    );
+  }
+});
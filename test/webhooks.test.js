@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { sign, createWebhookDispatcher } = require("../lib/webhooks");
+
+const SECRET = "0123456789abcdef0123";
+
+// A local receiver that answers with the next status from `statuses` (the
+// last one repeats) and records every request.
+async function startReceiver(t, statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+
+  server.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => server.close());
+  return { url: `http://localhost:${server.address().port}/hook`, requests };
+}
+
+function createDispatcher(url, options = {}) {
+  const outcomes = {};
+  const warnings = [];
+  const subscription = { id: "sub1", url, secret: SECRET };
+
+  const dispatcher = createWebhookDispatcher({
+    store: { forEvent: () => [subscription] },
+    logger: { warn: (message) => warnings.push(message) },
+    metrics: {
+      counter: () => ({
+        inc: ({ outcome }) => {
+          outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+        },
+      }),
+      gauge: () => {},
+    },
+    retryBaseMs: 50,
+    ...options,
+  });
+  return { ...dispatcher, outcomes, warnings };
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const until = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > until) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("deliveries are signed with the subscription secret", async (t) => {
+  const receiver = await startReceiver(t);
+  const dispatcher = createDispatcher(receiver.url);
+
+  dispatcher.publish("game_over", { gameId: "g1" });
+  await waitFor(() => dispatcher.outcomes.delivered === 1);
+
+  const [{ headers, body }] = receiver.requests;
+  assert.equal(headers["x-worms-signature"], `sha256=${sign(SECRET, body)}`);
+  assert.equal(headers["x-worms-event"], "game_over");
+  assert.equal(JSON.parse(body).event, "game_over");
+  assert.deepEqual(JSON.parse(body).data, { gameId: "g1" });
+});
+
+test("server errors are retried with a doubling delay", async (t) => {
+  const receiver = await startReceiver(t, [500, 503, 200]);
+  const dispatcher = createDispatcher(receiver.url);
+
+  dispatcher.publish("turn_bust", {});
+  await waitFor(() => dispatcher.outcomes.delivered === 1);
+
+  const [first, second, third] = receiver.requests;
+  assert.equal(receiver.requests.length, 3);
+  assert.equal(dispatcher.outcomes.retried, 2);
+  assert.ok(second.at - first.at >= 45);
+  assert.ok(third.at - second.at >= 95);
+  // The same delivery each time, so receivers can drop duplicates by id.
+  assert.equal(first.body, third.body);
+});
+
+test("a delivery is given up after the last attempt", async (t) => {
+  const receiver = await startReceiver(t, [503]);
+  const dispatcher = createDispatcher(receiver.url, { maxAttempts: 3 });
+
+  dispatcher.publish("turn_bust", {});
+  await waitFor(() => dispatcher.outcomes.failed === 1);
+
+  assert.equal(receiver.requests.length, 3);
+  assert.deepEqual(dispatcher.warnings, ["Webhook delivery failed"]);
+});
+
+test("other client errors aren't retried", async (t) => {
+  const receiver = await startReceiver(t, [400]);
+  const dispatcher = createDispatcher(receiver.url);
+
+  dispatcher.publish("turn_bust", {});
+  await waitFor(() => dispatcher.outcomes.failed === 1);
+
+  assert.equal(receiver.requests.length, 1);
+  assert.equal(dispatcher.outcomes.retried, undefined);
+});
+
+test("deliveries beyond a full queue are dropped", async (t) => {
+  const receiver = await startReceiver(t);
+  const dispatcher = createDispatcher(receiver.url, { maxQueue: 2 });
+
+  for (let i = 0; i < 5; i++) dispatcher.publish("game_started", { i });
+  await waitFor(() => dispatcher.outcomes.delivered === 2);
+
+  assert.equal(dispatcher.outcomes.dropped, 3);
+  assert.equal(dispatcher.warnings.length, 3);
+  assert.deepEqual(
+    receiver.requests.map(({ body }) => JSON.parse(body).data.i).sort(),
+    [0, 1]
+  );
+});